@@ -30,7 +30,8 @@
  *   processData: 数据处理, 在子类中进行复写
  *   draw: 绘制图形, 必须在子类中复写
  *   bindEvents: 绑定事件, 在子类中复写
- *   zooming: 可复写函数, 在缩放过程中被调用
+ *   zooming: 可复写函数, 在滚轮缩放过程中被调用
+ *   onZoom: 可复写函数, 每次缩放或者平移都会被调用
  *
  *
  * create by destiny on 2019-03-25
@@ -78,7 +79,8 @@ class BaseGraph {
     this.preprocessData().draw().bindEvents();
   }
   init() {
-    this.$el.selectAll('svg').remove();
+    // 只移除图谱自身的 svg, 容器中其他面板 (如缩略图) 的 svg 需要保留
+    this.$el.selectAll(':scope > svg').remove();
     this.svg = d3
       .create('svg')
       .attr('width', this.options.width)
@@ -125,6 +127,7 @@ class BaseGraph {
       })
       .on('zoom', () => {
         this.chartGroup.attr('transform', d3.event.transform);
+        this.onZoom();
         // 在这里 d3.event 是 zoom 事件
         const event = d3.event.sourceEvent;
         // 是滚轮事件或者是 null, 则触发 zooming
@@ -139,6 +142,9 @@ class BaseGraph {
   zooming() {
     // 可复写方法, 表示在缩放过程中需要做的事情
   }
+  onZoom() {
+    // 可复写方法, 每次缩放或者平移时调用
+  }
 
   /* 主题变更 */
   changeTheme(theme) {
@@ -0,0 +1,526 @@
+import * as d3 from 'd3';
+/**
+ * CanvasRenderer: Force 的 Canvas 2D 渲染器, 用于顶点和边数量很大的图谱
+ * 通过 Force 的 options.renderer = 'canvas' 启用
+ *
+ * 画布放在 SVG 的 foreignObject 中, SVG 仍然负责背景、缩放以及新建连线的绘制,
+ * 顶点和边的样式全部来自 Force 的样式获取方法 (getVertexColor, getEdgeWidth 等)
+ *
+ * @parameter
+ *   graph [Force] 图谱实例
+ *
+ * @constructor
+ *   graph: 图谱实例
+ *   canvas: canvas 元素
+ *   context: 2D 绘图上下文
+ *   ratio: 设备像素比
+ *   drag: 拖拽对象, 同时挂载到 graph.drag 上
+ *   handlers: 通过 bindClick, bindDblClick, bindHover, bindRightClick, bindLineWith 注册的回调
+ *   hovered: 鼠标当前悬停的顶点或者边
+ *
+ * @methods
+ *   init(): 创建画布并绑定事件, 只会执行一次
+ *   requestDraw(): 在下一帧重新绘制, 同一帧内的多次调用只绘制一次
+ *   draw(): 立即绘制
+ *   drawEdge(d, lod): 绘制一条边以及箭头和文字, lod 为 graph.lodState
+ *   drawVertex(d, lod): 绘制一个顶点以及 icon、固定标记和名称
+ *   drawClusters(clusters, links): 绘制聚合后的簇, 参考 Force.getClusters
+ *   getEdgePoints(d): 将边的路径转换为折线上的点, 用于绘制和点击检测
+ *   vertexAt(x, y): 获取图谱坐标 (x, y) 处的顶点
+ *   edgeAt(x, y): 获取图谱坐标 (x, y) 处的边
+ *   clusterAt(x, y): 获取图谱坐标 (x, y) 处的簇, 只在聚合时有效
+ *   bindClick(onVertexClick, onEdgeClick): 对应 Force.addClick
+ *   bindDblClick(onVertexDblClick, onEdgeDblClick): 对应 Force.addDblClick
+ *   bindHover(onVertexHover, onVertexHoverout, onEdgeHover, onEdgeHoverout): 对应 Force.addHover
+ *   setHovered(d): 悬停的顶点或者边发生变化时, 调用对应的 hover 回调
+ *   bindRightClick(cb): 对应 Force.bindRightClick
+ *   bindLineWith(start, end): 对应 Force.bindLineWith
+ *
+ * create by destiny on 2020-04-20
+ */
+
+// 曲线转换为折线时的分段数
+const SEGMENTS = 20;
+// 固定标记的形状, 与 SVG 中的 .pin 相同
+const PIN_POINTS = [
+  [-3, -10],
+  [3, -10],
+  [2, -5],
+  [4, -3],
+  [0.6, -3],
+  [0, 2],
+  [-0.6, -3],
+  [-4, -3],
+  [-2, -5],
+];
+
+class CanvasRenderer {
+  constructor(graph) {
+    this.graph = graph;
+    this.canvas = null;
+    this.context = null;
+    this.ratio = 1;
+    this.frame = null;
+    this.handlers = {};
+    this.hovered = null;
+    this.images = {};
+    this.clusters = null;
+    this.symbol = d3.symbol();
+  }
+  init() {
+    if (this.canvas) return this;
+
+    const { width, height } = this.graph.options;
+    this.ratio = window.devicePixelRatio || 1;
+
+    // 放在 chartGroup 之前, 新建连线等 SVG 元素显示在画布之上
+    const foreignObject = this.graph.svg
+      .insert('foreignObject', ':first-child')
+      .classed('canvas-layer', true)
+      .attr('width', width)
+      .attr('height', height);
+    this.canvas = foreignObject
+      .append('xhtml:canvas')
+      .attr('width', width * this.ratio)
+      .attr('height', height * this.ratio)
+      .style('width', width + 'px')
+      .style('height', height + 'px')
+      .style('display', 'block')
+      .node();
+    this.context = this.canvas.getContext('2d');
+    this.symbol.context(this.context);
+
+    this.bindEvents();
+    return this;
+  }
+
+  /* 绘制 */
+  requestDraw() {
+    if (this.frame) return this;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+    return this;
+  }
+  draw() {
+    const ctx = this.context;
+    if (!ctx) return this;
+
+    const { width, height } = this.graph.options;
+    const { x, y, k } = this.graph.getTransform();
+    const ratio = this.ratio;
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.setTransform(ratio * k, 0, 0, ratio * k, ratio * x, ratio * y);
+
+    // 细节层次与 SVG 模式一致
+    const lod = this.graph.lodState;
+    if (lod.cluster) {
+      this.clusters = this.graph.getClusters();
+      this.drawClusters(this.clusters.clusters, this.clusters.links);
+      return this;
+    }
+    this.clusters = null;
+    this.graph.edges.forEach((d) => {
+      ctx.globalAlpha = this.graph.getOpacity(d);
+      this.drawEdge(d, lod);
+    });
+    this.graph.vertexes.forEach((d) => {
+      ctx.globalAlpha = this.graph.getOpacity(d);
+      this.drawVertex(d, lod);
+    });
+    ctx.globalAlpha = 1;
+
+    return this;
+  }
+  drawClusters(clusters, links) {
+    const ctx = this.context;
+    const graph = this.graph;
+    const { k } = graph.getTransform();
+
+    ctx.strokeStyle = graph.getEdgeColor({ state: 'normal' });
+    links.forEach((d) => {
+      ctx.beginPath();
+      ctx.moveTo(d.source.x, d.source.y);
+      ctx.lineTo(d.target.x, d.target.y);
+      ctx.lineWidth = (1 + Math.log(d.count)) / k;
+      ctx.stroke();
+    });
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${12 / k}px sans-serif`;
+    clusters.forEach((c) => {
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, graph.getClusterRadius(c), 0, 2 * Math.PI);
+      ctx.fillStyle = graph.getClusterColor(c);
+      ctx.fill();
+      if (c.count > 1) {
+        ctx.fillStyle = '#fff';
+        ctx.fillText(c.count, c.x, c.y);
+      }
+    });
+  }
+  drawEdge(d, lod) {
+    const ctx = this.context;
+    const graph = this.graph;
+    const points = this.getEdgePoints(d);
+    const n = points.length;
+
+    ctx.beginPath();
+    points.forEach(([x, y], i) => {
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.strokeStyle = graph.getEdgeColor(d);
+    ctx.lineWidth = graph.getEdgeWidth(d);
+    ctx.stroke();
+
+    // 箭头, 与 SVG 的 marker 大小相同
+    if (lod.arrow) {
+      const [x1, y1] = points[n - 2];
+      const [x2, y2] = points[n - 1];
+      ctx.save();
+      ctx.translate(x2, y2);
+      ctx.rotate(Math.atan2(y2 - y1, x2 - x1));
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(-10, -5);
+      ctx.lineTo(-10, 5);
+      ctx.closePath();
+      ctx.fillStyle = graph.getArrowColor(d);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    const label = lod.label ? graph.getEdgeLabel(d) : '';
+    if (!label) return;
+
+    // 文字位于边的中点, 旋转使文字始终朝上
+    const mid = Math.floor(n / 2);
+    const [mx, my] = points[mid];
+    const [px, py] = points[mid - 1];
+    const [nx, ny] = points[mid + 1] || points[mid];
+    let angle = Math.atan2(ny - py, nx - px);
+    if (angle > Math.PI / 2) angle -= Math.PI;
+    if (angle < -Math.PI / 2) angle += Math.PI;
+    ctx.save();
+    ctx.translate(mx, my);
+    ctx.rotate(angle);
+    ctx.font = `${graph.options.edgeFontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = graph.getEdgeLableColor(d);
+    ctx.fillText(label, 0, -2);
+    ctx.restore();
+  }
+  drawVertex(d, lod) {
+    const ctx = this.context;
+    const graph = this.graph;
+    const r = graph.getRadius(d);
+
+    ctx.save();
+    ctx.translate(d.x, d.y);
+
+    // 形状
+    let type = graph.getShape(d);
+    type = 'symbol' + type[0].toUpperCase() + type.slice(1);
+    let _d3 = d3; // 直接使用 d3[type] 报错
+    ctx.beginPath();
+    this.symbol.size(r * r * Math.PI).type(_d3[type])();
+    ctx.fillStyle = graph.getVertexColor(d);
+    ctx.fill();
+    const stroke = graph.getVertexStrokeColor(d);
+    if (stroke && stroke !== 'none') {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = graph.getVertexStrokeWidth(d);
+      ctx.stroke();
+    }
+
+    // icon
+    const image = lod.icon && this.getImage(graph.getIcon(d));
+    if (image) ctx.drawImage(image, -r, -r, r * 2, r * 2);
+
+    // 名称
+    if (lod.label && d.name) {
+      ctx.font = `${graph.options.vertexFontSize}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = graph.getVertexNameColor(d);
+      (graph.getTextStack(d) || []).forEach((text) => {
+        ctx.fillText(text.name, text.dx, text.dy);
+      });
+    }
+
+    // 固定标记
+    if (graph.isPinned(d)) {
+      const offset = r * 0.75;
+      ctx.beginPath();
+      PIN_POINTS.forEach(([x, y], i) => {
+        if (i === 0) {
+          ctx.moveTo(x + offset, y - offset);
+        } else {
+          ctx.lineTo(x + offset, y - offset);
+        }
+      });
+      ctx.closePath();
+      ctx.fillStyle = graph.getPinColor(d);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+  // icon 加载完成之后重新绘制
+  getImage(href) {
+    href = (href || '').trim();
+    if (!href) return null;
+
+    let image = this.images[href];
+    if (!image) {
+      image = this.images[href] = new Image();
+      image.onload = () => this.requestDraw();
+      image.src = href;
+    }
+    return image.complete && image.naturalWidth ? image : null;
+  }
+  getEdgePoints(d) {
+    const graph = this.graph;
+
+    // 自己指向自己: calcSelfPath 返回的三次贝塞尔曲线 M x y C x1 y1, x2 y2, x y
+    if (d.source._id === d.target._id) {
+      const [x, y, x1, y1, x2, y2] = graph
+        .calcSelfPath(d)
+        .match(/-?[\d.]+(e[-+]?\d+)?/g)
+        .map(Number);
+      return d3.range(SEGMENTS + 1).map((i) => {
+        const t = i / SEGMENTS;
+        const a = (1 - t) * (1 - t) * (1 - t);
+        const b = 3 * (1 - t) * (1 - t) * t;
+        const c = 3 * (1 - t) * t * t;
+        const e = t * t * t;
+        return [a * x + b * x1 + c * x2 + e * x, a * y + b * y1 + c * y2 + e * y];
+      });
+    }
+
+    const { sx, sy, tx, ty, dr, sf } = graph.calcPath(d);
+    if (!dr) return [[sx, sy], [(sx + tx) / 2, (sy + ty) / 2], [tx, ty]];
+
+    // 与 SVG 的 A dr,dr 0 0 sf 相同的圆弧, 半径不足时以弦的中点为圆心
+    const hx = (sx - tx) / 2;
+    const hy = (sy - ty) / 2;
+    const h2 = hx * hx + hy * hy || 1;
+    const coef = Math.sqrt(Math.max(0, (dr * dr - h2) / h2));
+    const sign = sf === 1 ? 1 : -1;
+    const cx = (sx + tx) / 2 + sign * coef * hy;
+    const cy = (sy + ty) / 2 - sign * coef * hx;
+    const radius = Math.sqrt((sx - cx) * (sx - cx) + (sy - cy) * (sy - cy));
+
+    const a1 = Math.atan2(sy - cy, sx - cx);
+    let a2 = Math.atan2(ty - cy, tx - cx);
+    if (sf === 1 && a2 < a1) a2 += Math.PI * 2;
+    if (sf !== 1 && a2 > a1) a2 -= Math.PI * 2;
+
+    return d3.range(SEGMENTS + 1).map((i) => {
+      const angle = a1 + ((a2 - a1) * i) / SEGMENTS;
+      return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    });
+  }
+
+  /* 点击检测 */
+  vertexAt(x, y) {
+    // 聚合时顶点和边都不可见
+    if (this.graph.lodState.cluster) return null;
+    const vertexes = this.graph.vertexes;
+    // 后绘制的顶点在上层, 优先检测
+    for (let i = vertexes.length - 1; i >= 0; i--) {
+      const d = vertexes[i];
+      const r = this.graph.getRadius(d);
+      if ((d.x - x) * (d.x - x) + (d.y - y) * (d.y - y) <= r * r) return d;
+    }
+    return null;
+  }
+  edgeAt(x, y) {
+    if (this.graph.lodState.cluster) return null;
+    const edges = this.graph.edges;
+    for (let i = edges.length - 1; i >= 0; i--) {
+      const d = edges[i];
+      const tolerance = this.graph.getEdgeWidth(d) / 2 + 3;
+      const points = this.getEdgePoints(d);
+      for (let j = 1; j < points.length; j++) {
+        if (distanceToSegment(x, y, points[j - 1], points[j]) <= tolerance) return d;
+      }
+    }
+    return null;
+  }
+  clusterAt(x, y) {
+    if (!this.clusters) return null;
+    const clusters = this.clusters.clusters;
+    for (let i = clusters.length - 1; i >= 0; i--) {
+      const c = clusters[i];
+      const r = this.graph.getClusterRadius(c);
+      if ((c.x - x) * (c.x - x) + (c.y - y) * (c.y - y) <= r * r) return c;
+    }
+    return null;
+  }
+
+  /* 事件 */
+  // 鼠标在图谱中的坐标, 已经抵消了缩放和平移
+  mouse() {
+    return d3.mouse(this.graph.chartGroup.node());
+  }
+  bindClick(onVertexClick, onEdgeClick) {
+    this.handlers.vertexClick = onVertexClick;
+    this.handlers.edgeClick = onEdgeClick;
+  }
+  bindDblClick(onVertexDblClick, onEdgeDblClick) {
+    this.handlers.vertexDblClick = onVertexDblClick;
+    this.handlers.edgeDblClick = onEdgeDblClick;
+  }
+  bindHover(onVertexHover, onVertexHoverout, onEdgeHover, onEdgeHoverout) {
+    this.handlers.vertexHover = onVertexHover;
+    this.handlers.vertexHoverout = onVertexHoverout;
+    this.handlers.edgeHover = onEdgeHover;
+    this.handlers.edgeHoverout = onEdgeHoverout;
+  }
+  setHovered(d) {
+    const prev = this.hovered;
+    if (prev === d) return;
+    this.hovered = d;
+
+    const handlers = this.handlers;
+    if (prev) {
+      const out = prev._to === undefined ? handlers.vertexHoverout : handlers.edgeHoverout;
+      out && out(prev);
+    }
+    if (d) {
+      const over = d._to === undefined ? handlers.vertexHover : handlers.edgeHover;
+      over && over(d);
+    }
+  }
+  bindRightClick(cb) {
+    this.handlers.rightClick = cb;
+  }
+  bindLineWith(start, end) {
+    this.handlers.lineStart = start;
+    this.handlers.lineEnd = end;
+  }
+  // 与 SVG 模式下顶点中心 6 * 6 的连线区域相同
+  isLineHandle(d, x, y) {
+    return Math.abs(d.x - x) <= 3 && Math.abs(d.y - y) <= 3;
+  }
+  bindEvents() {
+    const graph = this.graph;
+    const handlers = this.handlers;
+
+    // 需要在缩放之前绑定, 才能阻止拖拽顶点和连线时触发平移
+    graph.svg.on('mousedown.line', () => {
+      if (!handlers.lineEnd) return;
+      const [x, y] = this.mouse();
+      const d = this.vertexAt(x, y);
+      if (d && this.isLineHandle(d, x, y)) {
+        d3.event.stopImmediatePropagation();
+        handlers.lineStart && handlers.lineStart();
+        graph.addNewLink(d);
+      }
+    });
+
+    this.drag = graph.drag = d3
+      .drag()
+      .container(() => graph.chartGroup.node())
+      .subject(() => {
+        if (!graph.options.draggable) return null;
+        const [x, y] = this.mouse();
+        return this.vertexAt(x, y);
+      })
+      .on('start', () => graph.onDragStart(d3.event.subject))
+      .on('drag', () => graph.onDrag(d3.event.subject))
+      .on('end', () => graph.onDragEnd(d3.event.subject));
+    graph.svg.call(this.drag);
+
+    graph.svg
+      .on('mouseup.line', () => {
+        if (!graph.newLink) return;
+        const d = this.vertexAt(...this.mouse());
+        if (!d) return;
+        d3.event.stopPropagation();
+        if (graph.newLink.datum()._from === d._id) {
+          graph.removeNewLink();
+        } else {
+          graph.appendNewLink(d, handlers.lineEnd);
+        }
+      })
+      .on('mousemove.canvas', () => {
+        const [x, y] = this.mouse();
+        const d = this.vertexAt(x, y);
+        const e = d ? null : this.edgeAt(x, y);
+        this.setHovered(d || e);
+        const cursor =
+          d && handlers.lineEnd && this.isLineHandle(d, x, y)
+            ? 'crosshair'
+            : d || e || this.clusterAt(x, y)
+            ? 'pointer'
+            : graph.selectMode === 'select'
+            ? null
+            : 'crosshair';
+        graph.svg.style('cursor', cursor);
+      })
+      .on('mouseleave.canvas', () => {
+        this.setHovered(null);
+      })
+      .on('click.canvas', () => {
+        const [x, y] = this.mouse();
+        const c = this.clusterAt(x, y);
+        if (c) {
+          d3.event.stopPropagation();
+          graph.zoomToCluster(c);
+          return;
+        }
+        const d = this.vertexAt(x, y);
+        const e = d ? null : this.edgeAt(x, y);
+        if (d && handlers.vertexClick) {
+          d3.event.stopPropagation();
+          handlers.vertexClick(d);
+        } else if (e && handlers.edgeClick) {
+          d3.event.stopPropagation();
+          handlers.edgeClick(e);
+        }
+      })
+      .on('dblclick.canvas', () => {
+        const [x, y] = this.mouse();
+        const d = this.vertexAt(x, y);
+        const e = d ? null : this.edgeAt(x, y);
+        if (d && handlers.vertexDblClick) {
+          d3.event.stopPropagation();
+          handlers.vertexDblClick(d);
+        } else if (e && handlers.edgeDblClick) {
+          d3.event.stopPropagation();
+          handlers.edgeDblClick(e);
+        }
+      })
+      .on('contextmenu.canvas', () => {
+        d3.event.preventDefault();
+        if (d3.event.button !== 2 || !handlers.rightClick) return;
+        const [x, y] = this.mouse();
+        handlers.rightClick(this.vertexAt(x, y) || this.edgeAt(x, y) || undefined);
+      });
+  }
+}
+
+// 点到线段的距离
+function distanceToSegment(x, y, [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length = dx * dx + dy * dy;
+  let t = length ? ((x - x1) * dx + (y - y1) * dy) / length : 0;
+  t = Math.max(0, Math.min(1, t));
+  const px = x1 + t * dx - x;
+  const py = y1 + t * dy - y;
+  return Math.sqrt(px * px + py * py);
+}
+
+export default CanvasRenderer;
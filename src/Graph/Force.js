@@ -1,5 +1,8 @@
 import * as d3 from 'd3';
 import BaseGraph from './BaseGraph';
+import * as layouts from './layouts';
+import { createForceWorker } from './forceWorker';
+import CanvasRenderer from './CanvasRenderer';
 import { deepCopy, getUUId, diffAssign, ajaxGet } from '../utils';
 /**
  * Force: 力导向图类
@@ -28,6 +31,26 @@ import { deepCopy, getUUId, diffAssign, ajaxGet } from '../utils';
  *      edgeColor [String] 边的颜色, 默认 '#e3e3e3'
  *      edgeFontSize [Number] 边的字体大小, 默认 10
  *      alphaDecay [Number] 衰减系数, 默认 0.07
+ *      layout [String] 布局方式, 默认 'force', 即力仿真布局
+ *        也可以使用 Force.layouts 中注册的静态布局: 'circular', 'grid', 'concentric', 'dag'
+ *      duration [Number] 布局变化的动画时长, 默认 300
+ *      pinOnDrag [Boolean] 拖拽之后是否将顶点固定在拖拽结束的位置, 默认 true
+ *      worker [Boolean] 是否在 Web Worker 中计算力仿真布局, 默认 false
+ *        worker 中计算期间按批次返回位置, 拖拽时暂停, 拖拽结束之后从当前的位置继续计算,
+ *        计算结束之后拖拽不再带动相连的顶点, worker 出错时 (如 d3Url 无法加载) 转为在主线程中计算
+ *      d3Url [String] worker 中引入的 d3 脚本地址, 默认 null, 开启 worker 时必须设置, 否则在主线程中计算
+ *      batchTicks [Number] worker 每计算多少次 tick 返回一次位置, 默认 10
+ *      staticTicks [Number] 大于 0 时预先计算相应次数的 tick, 之后只渲染一次, 默认 0
+ *      renderer [String] 渲染方式, 'svg' 或 'canvas', 默认 'svg'
+ *        canvas 使用相同的样式获取方法进行绘制, 参考 CanvasRenderer.js
+ *      previewOpacity [Number] 预览时不相关的顶点和边的透明度, 默认 0.15
+ *      lod [Object] 细节层次, 缩放值小于对应的阈值时逐级隐藏细节, 阈值为 0 表示始终显示
+ *        label: 顶点名称和边上的文字, 默认 0.8
+ *        icon: 顶点 icon, 默认 0.7
+ *        arrow: 边的箭头, 默认 0.65
+ *        curve: 边的弧度, 小于阈值时绘制为直线, 默认 0.6
+ *        cluster: 将密集区域的顶点聚合为簇, 默认 0.55
+ *        clusterSize: 聚合时网格的大小, 单位为屏幕像素, 默认 60
  *
  * @constructor
  *   el: 容器, HTMLElement
@@ -42,10 +65,41 @@ import { deepCopy, getUUId, diffAssign, ajaxGet } from '../utils';
  *   nodeEnter: 当前的 enter 节点, d3 Selection 元素数组
  *   linkEnter: 当前的 enter 边, d3 Selection 元素数组
  *   zoom: 缩放对象, 用于控制图谱缩放行为
+ *   renderer: renderer 为 'canvas' 时的 CanvasRenderer 实例, 否则为 null
+ *   selection: 选中的顶点和边 {vertexes: Set, edges: Set}, 保存的是 _id
+ *   selectMode: 选择模式, 'select' 单选, 'multi' 框选, 'lasso' 套索, 默认 'select'
+ *   previewItems: 预览中突出显示的顶点和边 {vertexes: Set, edges: Set}, 没有预览时为 null
+ *   lodState: 当前的细节层次 {label, icon, arrow, curve, cluster}, 前四项为 true 表示显示, cluster 为 true 表示聚合
+ *
+ * @static
+ *   layouts: 已注册的静态布局 {name: layout(vertexes, edges, options)}, 参考 layouts.js
+ *   registerLayout(name, layout): 注册自定义的静态布局, 需要在创建 GraphEditor 之前注册,
+ *     编辑器只在创建时绑定布局的操作, 工具栏按钮需要在 options.toolbar.layout 中添加同名的一项
  *
  * @methods
  *   render: 渲染画布
  *   update: 更新画布
+ *   @layout
+ *    layout(): 计算布局, 静态布局只在首次以及出现没有位置的顶点时重新计算
+ *    applyLayout(): 立即使用当前的静态布局计算所有顶点的位置
+ *    changeLayout(name): 切换布局方式, 顶点从原来的位置过渡到新的位置
+ *    getLayoutState(): 记录当前所有顶点的位置, 作为动画的起点
+ *    animateFrom(state): 从之前记录的状态过渡到当前的位置, 返回 d3 transition
+ *    getStartPosition(v, positions): 顶点动画的起始位置, 可复写
+ *    syncPositions(): 将顶点当前的位置和固定状态写入 rawData, 布局结束、拖拽结束以及导出前调用
+ *    reheat(): 重新启动力仿真布局
+ *    canUseWorker(): 是否可以在 worker 中计算力仿真布局, 需要开启 worker, 设置 d3Url 并且不是静态布局
+ *    runWorker(alpha): 在 worker 中计算力仿真布局, alpha 为仿真的初始值, 默认 1
+ *    stopWorker(): 终止正在进行的 worker 计算, 顶点停留在当前位置
+ *    runMainThread(alpha): worker 出错时在主线程中从当前的位置继续计算, 之后不再使用 worker
+ *    workerError(e): 可复写, worker 出错时触发, 如 d3Url 无法加载, 接收错误事件
+ *    isPinned(d): 顶点是否被固定
+ *    pinVertex(id): 将顶点固定在当前位置
+ *    pin(filter): 固定满足 filter 函数的顶点
+ *    unpinVertex(id): 取消顶点的固定, 并重新启动力仿真
+ *    unpinAll(): 取消所有顶点的固定, 并重新启动力仿真
+ *    unpin(filter): 取消满足 filter 函数的顶点的固定
+ *    moveVertexes(ids, dx, dy, cb): 将顶点平移 (dx, dy), 只记录一次缓存
  *   @style 需要时, 可以在实例渲染前进行复写, 接收当前节点或者边的数据 d
  *    getShape(d): 节点形状, 提供了 d3.symbol 中的形状, 需要返回形状字符串
  *    getRadius(d): 节点半径, 需要返回数字
@@ -53,39 +107,100 @@ import { deepCopy, getUUId, diffAssign, ajaxGet } from '../utils';
  *    getVertexStrokeColor(d): 节点边框颜色, 默认为 none, 需要返回颜色字符串
  *    getVertexStrokeWidth(d): 节点边框大小, 需要返回数字
  *    getVertexNameColor(d): 节点名称颜色, 需要返回颜色字符串
+ *    getPinColor(d): 固定标记的颜色, 需要返回颜色字符串
+ *    getSelectedColor(d): 选中的顶点边框以及边的颜色, 需要返回颜色字符串
+ *    getClusterColor(c): 聚合后簇的颜色, 接收簇的数据 {id, x, y, count, vertexes}, 需要返回颜色字符串
+ *    getClusterRadius(c): 聚合后簇的半径, 需要返回数字
  *    getTextStack(d): 节点文本的排版, 需要返回一个数组,包含被分行的文本字符串
  *    getIcon(d): 节点 icon, 需要返回一个 URL 字符串, 表示 SVG icon 的路径
  *    getArrowColor(d): 箭头颜色, 需要返回颜色字符串
  *    getEdgeColor(d): 边颜色, 需要返回颜色字符串
  *    getEdgeLableColor(d): 边上文字颜色, 需要返回颜色字符串
+ *    getEdgeLabel(d): 边上文字内容, 需要返回字符串
  *    getEdgeWidth(d): 边的宽度, 需要返回数字
+ *    getOpacity(d): 顶点和边的透明度, 默认只在预览时使不相关的元素变淡, 需要返回数字
  *    getBgColor(): 背景颜色, 需要返回颜色字符串
  *   @data
  *    getVertexById(id): 通过 id 获取某个节点数据
  *    getEdgeById(id): 通过 id 获取某个边数据
- *    changeRawData(type, rawData, updateData): 改变 rawData 或者 data
+ *    changeRawData(type, rawData, updateData): 改变 rawData 或者 data, 记录中时同时记录这次修改
  *    addVertex(x, y, data, cb):
  *    addEdge(from, to, data, cb)
  *    updateVertex(data, cb)
  *    updateEdge(data, cb)
+ *    updateVertexes(list, cb): 批量修改顶点, list 中每一项都需要包含 _id, 只记录一次缓存
+ *    updateEdges(list, cb): 批量修改边
  *    removeVertex(id, cb)
  *    removeEdge(id, cb)
+ *    removeItems(vertexIds, edgeIds, cb): 批量删除顶点和边, 顶点相关的边也会被删除
+ *    hideItems(vertexIds, edgeIds, cb): 隐藏顶点和边, 只修改绘图数据, 不影响 rawData
+ *    showAll(cb): 显示所有被隐藏或者过滤掉的顶点和边
+ *    excludeItems(dataList, vertexIds, edgeIds): 从 dataList 的每一份数据中去掉顶点以及相关的边
+ *    getSubgraph(vertexIds): 获取顶点以及它们之间的边, 格式与 rawData 相同 {vertexes, edges}
+ *    addSubgraph(data, x, y, cb): 添加子图, 所有的顶点和边都使用新的 id, 子图的中心位于 (x, y),
+ *      保持顶点之间的相对位置, 返回新的 {vertexIds, edgeIds}
  *    filterVertex(filter, isInit): 过滤顶点，需要调用 update 才能更新, filter 表示过滤函数, isInit 表示是否在初始数据下进行过滤
  *    filterEdge(filter, isInit): 过滤边，需要调用  update 才能更新, filter 表示过滤函数, isInit 表示是否在初始数据下进行过滤
  *    resetData(): 使用 rawData 重置 data 绘图数据
+ *   @history 操作记录, 修改数据的操作通过 cb(cache) 传出这次操作的修改记录 patch, 而不是整个数据的拷贝
+ *    patch 为 {changes}, 每一项 change 为对 rawData 或者 data 中某个顶点或者边的修改:
+ *      {type: 'add' | 'remove', scope, target, index, item} 增加或者删除, index 为在数组中的位置
+ *      {type: 'update', scope, target, id, old, new} 修改, old 和 new 只包含发生变化的属性
+ *      scope 为 'rawData' 或者 'data', target 为 'vertexes' 或者 'edges'
+ *    startRecord(): 开始记录, 之后 changeRawData 以及 excludeItems 中的修改都会被记录
+ *    endRecord(): 结束记录, 返回 patch, 批量记录中时同时合并到批量记录中
+ *    beginBatch(): 开始批量记录, 之后每次操作的修改会合并为一个 patch, 可以嵌套
+ *    commitBatch(): 结束批量记录, 最外层结束时返回合并之后的 patch, 否则返回 null
+ *    rollbackBatch(): 撤销当前这一层批量记录中的所有修改并结束这一层
+ *    isBatching(): 是否处于批量记录中
+ *    getPositions(vertexes): 获取顶点的位置以及固定状态 {_id: {x, y, fx, fy, pinned}}
+ *    recordPositions(positions): 记录顶点从 positions 移动到当前位置
+ *    applyPatch(patch, reverse): 应用 patch, reverse 为 true 时倒序应用逆操作, 用于撤销,
+ *      只重新绘制发生变化的顶点和边, 其余顶点保持当前的位置
+ *    getSnapshot(): 获取当前数据的副本 {data, chartData}, data 为 rawData, chartData 为图表数据
+ *    restoreSnapshot(snapshot, cb): 恢复为 getSnapshot 的数据, 作为一次操作记录, cb(cache) 接收 patch
+ *   @position
+ *    顶点数据中的 x, y 表示位置, pinned 为 true 时表示固定在该位置, 二者都会保存在 rawData 中
+ *    初始数据或者 useCache 的数据中所有顶点都有位置时, 直接使用这些位置, 不再重新计算布局
  *   @event
  *    bindEvents(): 绑定事件, 需要在实例 render 前调用, 每次更新也会执行
  *    bindScale(): 绑定缩放
- *    bindDrag(): 绑定拖拽
- *    zooming(): 缩放过程中触发
+ *    bindDrag(): 绑定拖拽, 拖拽选中的顶点时其他选中的顶点一起移动
+ *    moveEnd(cache): 可复写, 多个顶点一起移动之后触发
+ *    zooming(): 滚轮缩放过程中触发
+ *    onZoom(): 每次缩放或者平移时触发, 更新细节层次
  *    需要自行在 bindEvents 中添加:
  *    bindRightClick(cb): 绑定右键点击事件
  *    bindLineWith(cb): 绑定连线事件
- *    addDblClick(cb): 双击事件
+ *    addDblClick(onVertexDblClick, onEdgeDblClick): 顶点和边的双击事件, 空白处的双击不再缩放
+ *    addHover(onVertexHover, onVertexHoverout, onEdgeHover, onEdgeHoverout): 鼠标移入和移出顶点和边的事件
+ *   @preview 预览, 只修改透明度, 不改变顶点和边的 state, 因此不影响高亮
+ *    preview(vertexIds, edgeIds): 临时突出显示这些顶点和边, 其余的变淡
+ *    clearPreview(): 取消预览
+ *   @select 选择
+ *    isSelected(d): 顶点或者边是否被选中
+ *    select(vertexIds, edgeIds, mode): 修改选择, mode 为 'replace', 'add', 'remove' 或者 'toggle', 默认 'replace'
+ *    clearSelection(): 取消所有选择
+ *    getSelection(): 获取选中的 {vertexIds, edgeIds}
+ *    setSelectMode(mode): 切换选择模式, 框选和套索模式下在空白处拖拽进行选择, 不再平移图谱
+ *    bindBrush(): 绑定框选和套索, 按住 shift 时添加到已有的选择中
+ *    selectionChange(selection): 可复写, 选择改变时触发, 接收 getSelection() 的结果
+ *   @lod 细节层次
+ *    getLodState(k): 根据缩放值计算细节层次
+ *    applyLod(force): 缩放值跨过阈值时更新各元素的显示, force 为 true 时总是更新
+ *    getClusters(): 按照网格将顶点聚合, 返回 {clusters, links}
+ *    drawClusters(): 绘制聚合后的簇以及簇之间的边
+ *    zoomToCluster(c): 放大到可以看清簇中顶点的大小, 并以簇为中心
  *   @else 其他辅助类函数
  *    getTransform(): 获取当前 SVG 的偏移和缩放
- *    transformTo(transform): 将当前图谱转换到某个位置和缩放大小
+ *    transformTo(transform, duration): 将当前图谱转换到某个位置和缩放大小, duration 为过渡时间, 默认 300
  *    zoomTo(scale): 缩放至某大小
+ *    getVisibleVertexes(): 获取当前绘制出来的顶点
+ *    getBBox(vertexes): 获取顶点所占的区域 {x, y, width, height}, 包含顶点的半径
+ *    fitView(padding): 缩放并平移, 使所有顶点都显示在画布中, padding 为距离画布边缘的距离, 默认 40
+ *    zoomToVertices(ids, padding): 同 fitView, 只包含 ids 对应的顶点
+ *    fitBBox(bbox, padding): 缩放并平移, 使 bbox 区域位于画布中心, 缩放大小受 scaleExtent 限制
+ *    centerOn(id): 保持缩放大小, 平移使顶点位于画布中心
  *    getCount(): 获取当前数据的统计信息, 根据 type 分类
  *    changeTheme(theme): 改变当前主题
  *    highlightVertex(ids): 高亮某些节点
@@ -93,6 +208,7 @@ import { deepCopy, getUUId, diffAssign, ajaxGet } from '../utils';
  *    shortestPath(source, target): 获取两个节点之间最短路径上的所有节点和边的 ids
  *    radiationVertex(d): 获取当前顶点呈放射状的顶点和边
  *    relationVertex(d): 获取当前顶点所有直接关联的边和顶点
+ *    getNeighbours(id): 获取顶点的相邻顶点, 按照边的方向分为 {in, out}, 每一项为 {edge, vertex}
  *
  * create by destiny on 2019-03-25
  * update by destiny on 2020-04-10
@@ -115,8 +231,34 @@ class Force extends BaseGraph {
 
       // 衰减系数
       alphaDecay: 0.07,
+
+      // 布局
+      layout: 'force',
+      duration: 300,
+      pinOnDrag: true,
+
+      // 大图的性能
+      worker: false,
+      d3Url: null,
+      batchTicks: 10,
+      staticTicks: 0,
+      renderer: 'svg',
+
+      // 预览时不相关的顶点和边的透明度
+      previewOpacity: 0.15,
+
+      // 细节层次
+      lod: {
+        label: 0.8,
+        icon: 0.7,
+        arrow: 0.65,
+        curve: 0.6,
+        cluster: 0.55,
+        clusterSize: 60,
+      },
     };
     options = Object.assign({}, defaultOptions, options);
+    options.lod = Object.assign({}, defaultOptions.lod, options.lod);
     super(el, data, options);
 
     // 顶点和边的数据
@@ -139,6 +281,37 @@ class Force extends BaseGraph {
 
     // 顶点形状
     this.symbol = d3.symbol();
+
+    // 静态布局是否已经计算过
+    this.layoutApplied = false;
+
+    // 下一次布局时是否使用数据中保存的位置
+    this.restorePositions = true;
+
+    // canvas 渲染器, 为 null 时使用 SVG 渲染
+    this.renderer = this.options.renderer === 'canvas' ? new CanvasRenderer(this) : null;
+
+    // 细节层次, 初始为全部显示
+    this.lodState = this.getLodState(1);
+
+    // 选择
+    this.selection = { vertexes: new Set(), edges: new Set() };
+    this.selectMode = 'select';
+    this.dragGroup = [];
+    // 拖拽开始时顶点的位置, 用于记录一起移动的操作
+    this.dragPositions = {};
+    // worker 中仿真当前的 alpha, 以及拖拽中断之后需要继续的 alpha
+    this.workerAlpha = 1;
+    this.workerResume = null;
+
+    // 预览
+    this.previewItems = null;
+
+    // 操作记录, 记录中时为修改的数组, 否则为 null
+    this.changes = null;
+    // 批量记录, 合并的修改以及每一层开始时的位置
+    this.batchChanges = null;
+    this.batchMarks = [];
   }
   /* 数据处理 */
   checkData(data) {
@@ -166,6 +339,17 @@ class Force extends BaseGraph {
     // 记录当前所有节点的 ID
     this.idMap = this.vertexes.map((v) => v._id).concat(this.edges.map((e) => e._id));
 
+    // 删除或者过滤掉的顶点和边不再处于选中状态
+    const { vertexes, edges } = this.selection;
+    const removed = this.getSelection();
+    removed.vertexIds = removed.vertexIds.filter((id) => !this.getVertexById(id));
+    removed.edgeIds = removed.edgeIds.filter((id) => !this.getEdgeById(id));
+    if (removed.vertexIds.length || removed.edgeIds.length) {
+      removed.vertexIds.forEach((id) => vertexes.delete(id));
+      removed.edgeIds.forEach((id) => edges.delete(id));
+      this.selectionChange(this.getSelection());
+    }
+
     // 初始化数据以及图的最短路径算法
     this.vertexes.forEach((v) => {
       v.state = 'normal';
@@ -192,7 +376,29 @@ class Force extends BaseGraph {
   }
   layout() {
     // 作用: 通过力的仿真器, 来向节点和边数据中增加位置信息
-    const { distance, alphaDecay, chargeStrength, width, height } = this.options;
+    const { distance, alphaDecay, layout } = this.options;
+    const { staticTicks } = this.options;
+    const staticLayout = Force.layouts[layout];
+    const positioned = this.vertexes.every(
+      (v) => typeof v.x === 'number' && typeof v.y === 'number'
+    );
+    const restore = this.restorePositions && positioned;
+    this.restorePositions = false;
+
+    // 静态布局保留已有的位置 (如拖拽之后), 只有出现新的顶点时才重新计算
+    if (staticLayout && ((!this.layoutApplied && !restore) || !positioned)) {
+      this.applyLayout();
+    }
+    if (this.simulation) this.simulation.stop();
+    this.stopWorker();
+
+    // 固定的顶点不受力的作用
+    this.vertexes.forEach((v) => {
+      if (v.pinned && typeof v.x === 'number') {
+        v.fx = v.x;
+        v.fy = v.y;
+      }
+    });
 
     // 构建边的力
     const linkForce = d3
@@ -207,13 +413,215 @@ class Force extends BaseGraph {
       .nodes(this.vertexes)
       // 牵引力
       .force('links', linkForce)
+      .on('tick', this.onTick.bind(this))
+      .on('end', () => {
+        this.syncPositions();
+        this.renderEnd();
+      });
+
+    // worker 模式下, 主线程的仿真器与静态布局一样只用于拖拽
+    const useWorker = this.canUseWorker();
+    if (staticLayout || useWorker) {
+      // 静态布局不需要力的作用
+      linkForce.strength(0);
+    } else {
+      this.addForces();
+    }
+
+    if (staticLayout || restore) {
+      // 使用已有的位置, tick 一次之后结束
+      this.simulation.alpha(this.simulation.alphaMin());
+    } else if (useWorker) {
+      this.simulation.stop();
+      this.runWorker();
+    } else if (staticTicks > 0) {
+      // 预先计算, 之后 tick 一次进行渲染
+      this.simulation.tick(staticTicks);
+      this.simulation.alpha(this.simulation.alphaMin());
+    }
+
+    return this;
+  }
+  addForces() {
+    const { chargeStrength, width, height } = this.options;
+    this.simulation
       // 相互作用力
       .force('charge_force', d3.forceManyBody().strength(chargeStrength))
       // 中心力
-      .force('center_force', d3.forceCenter(width / 2, height / 2))
-      .on('tick', this.onTick.bind(this))
-      .on('end', this.renderEnd.bind(this));
+      .force('center_force', d3.forceCenter(width / 2, height / 2));
+    return this;
+  }
+  reheat() {
+    if (this.canUseWorker()) {
+      this.runWorker();
+    } else if (this.simulation) {
+      this.simulation.alpha(1).restart();
+    }
+    return this;
+  }
+  canUseWorker() {
+    const { worker, d3Url, layout } = this.options;
+    return !!worker && !!d3Url && !Force.layouts[layout] && typeof Worker !== 'undefined';
+  }
+  runWorker(alpha = 1) {
+    const { distance, alphaDecay, chargeStrength, width, height } = this.options;
+    const { d3Url, staticTicks, batchTicks } = this.options;
+    this.stopWorker();
+
+    const vertexes = this.vertexes;
+    const nodes = vertexes.map((v) => ({
+      _id: v._id,
+      x: v.x,
+      y: v.y,
+      fx: v.fx,
+      fy: v.fy,
+    }));
+    const links = this.edges.map((e) => ({
+      source: e._from,
+      target: e._to,
+    }));
+
+    this.workerAlpha = alpha;
+    this.worker = createForceWorker(d3Url);
+    this.worker.onmessage = (e) => {
+      const { type, positions } = e.data;
+      this.workerAlpha = e.data.alpha;
+      vertexes.forEach((v, i) => {
+        v.x = positions[i * 2];
+        v.y = positions[i * 2 + 1];
+      });
+      if (type === 'end') {
+        this.stopWorker();
+        // tick 一次进行渲染, 并触发 end 事件
+        this.simulation.alpha(this.simulation.alphaMin()).restart();
+      } else {
+        this.onTick();
+      }
+    };
+    this.worker.onerror = this.worker.onmessageerror = (e) => {
+      e.preventDefault();
+      this.runMainThread(this.workerAlpha);
+      this.workerError(e);
+    };
+    this.worker.postMessage({
+      nodes,
+      links,
+      options: {
+        distance,
+        alphaDecay,
+        chargeStrength,
+        width,
+        height,
+        staticTicks,
+        batchTicks,
+        alpha,
+      },
+    });
+    return this;
+  }
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    return this;
+  }
+  runMainThread(alpha) {
+    const { distance } = this.options;
+    this.stopWorker();
+    this.options.worker = false;
+    // worker 模式下的仿真器没有力的作用, 需要重新添加
+    this.simulation.force(
+      'links',
+      d3
+        .forceLink(this.edges)
+        .distance(distance)
+        .id((e) => e._id)
+    );
+    this.addForces();
+    this.simulation.alpha(alpha).restart();
+    return this;
+  }
+  workerError(e) {
+    // 可复写方法, worker 出错并转为在主线程中计算之后调用
+  }
+  applyLayout() {
+    const staticLayout = Force.layouts[this.options.layout];
+    if (!staticLayout) return this;
+
+    staticLayout(this.vertexes, this.edges, this.options);
+    this.vertexes.forEach((v) => {
+      v.vx = 0;
+      v.vy = 0;
+    });
+    this.layoutApplied = true;
+    return this;
+  }
+  changeLayout(name) {
+    if (name !== 'force' && !Force.layouts[name]) {
+      throw new Error(`layout '${name}' is not registered`);
+    }
+    let state = this.getLayoutState();
+    this.options.layout = name;
+    this.layoutApplied = false;
+    this.layout();
 
+    // 力仿真布局会从当前位置开始运动, 静态布局需要通过动画过渡
+    if (Force.layouts[name]) this.animateFrom(state);
+    return this;
+  }
+  getLayoutState() {
+    let positions = {};
+    this.vertexes.forEach((v) => {
+      positions[v._id] = { x: v.x, y: v.y };
+    });
+    return { positions };
+  }
+  getStartPosition(v, positions) {
+    return positions[v._id] || v;
+  }
+  animateFrom({ positions }) {
+    let interpolators = this.vertexes.map((v) => {
+      let start = this.getStartPosition(v, positions);
+      return {
+        v,
+        x: d3.interpolateNumber(start.x, v.x),
+        y: d3.interpolateNumber(start.y, v.y),
+      };
+    });
+    const move = (t) => {
+      interpolators.forEach(({ v, x, y }) => {
+        v.x = x(t);
+        v.y = y(t);
+      });
+      this.onTick();
+    };
+    move(0);
+
+    return this.svg
+      .transition('layout')
+      .duration(this.options.duration)
+      .tween('layout', () => move)
+      .on('end.sync', () => {
+        this.syncPositions();
+      });
+  }
+  syncPositions() {
+    let vertexMap = {};
+    this.vertexes.forEach((v) => {
+      vertexMap[v._id] = v;
+    });
+    this.rawData.vertexes.forEach((item) => {
+      let v = vertexMap[item._id];
+      if (!v || typeof v.x !== 'number') return;
+      item.x = Math.round(v.x * 100) / 100;
+      item.y = Math.round(v.y * 100) / 100;
+      if (v.pinned) {
+        item.pinned = true;
+      } else {
+        delete item.pinned;
+      }
+    });
     return this;
   }
   setEdgeIndex() {
@@ -256,8 +664,11 @@ class Force extends BaseGraph {
 
   /* 绘制图谱 */
   preprocessChart() {
+    if (this.renderer) this.renderer.init();
+
     this.chartGroup.append('g').classed('edges', true);
     this.chartGroup.append('g').classed('vertexes', true);
+    this.chartGroup.append('g').classed('clusters', true);
     this.chartGroup.append('defs').classed('reverse-paths', true);
     this.chartGroup
       .append('defs')
@@ -283,14 +694,31 @@ class Force extends BaseGraph {
     return this;
   }
   draw() {
+    if (this.renderer) {
+      this.renderer.draw();
+      this.setBgColor();
+      return this;
+    }
+
     this.drawVertexes();
     this.drawEdges();
     this.drawReversePath();
     this.drawArrow();
     this.setBgColor();
+    this.applyLod(true);
     return this;
   }
   onTick() {
+    if (this.renderer) {
+      this.renderer.requestDraw();
+      return;
+    }
+    // 聚合时原来的顶点和边都被隐藏, 只需要移动簇
+    if (this.lodState.cluster) {
+      this.drawClusters();
+      return;
+    }
+
     // 移动点的位置
     this.tickVertexes();
 
@@ -372,8 +800,8 @@ class Force extends BaseGraph {
     const perDeg = Math.PI / 6;
     const curDeg = Math.asin(Math.abs(dy / dr));
 
-    const sr = this.getRadius(this.getVertexById(d._from));
-    const tr = this.getRadius(this.getVertexById(d._to));
+    const sr = this.getRadius(d.source);
+    const tr = this.getRadius(d.target);
 
     let dsx, dsy, dtx, dty; // x y 方向的偏移
 
@@ -414,7 +842,8 @@ class Force extends BaseGraph {
       sy,
       tx,
       ty,
-      dr: d.isMidLink ? 0 : dr,
+      // 细节层次隐藏弧度时, 所有的边都绘制为直线
+      dr: d.isMidLink || !this.lodState.curve ? 0 : dr,
       sf,
     };
   }
@@ -447,7 +876,7 @@ class Force extends BaseGraph {
     const update = this.chartGroup
       .select('.vertexes')
       .selectAll('.vertex-group')
-      .data(this.vertexes);
+      .data(this.vertexes, (d) => d._id);
     this.nodeEnter = update.enter();
     const exit = update.exit();
 
@@ -479,8 +908,17 @@ class Force extends BaseGraph {
       .style('text-anchor', 'middle')
       .style('dominant-baseline', 'baseline')
       .style('user-select', 'none');
+    vertex
+      .append('path') // 固定标记
+      .classed('pin', true)
+      .attr('d', 'M-3,-10 L3,-10 L2,-5 L4,-3 L0.6,-3 L0,2 L-0.6,-3 L-4,-3 L-2,-5 z');
   }
   setVertexAttr() {
+    if (this.renderer) {
+      this.renderer.requestDraw();
+      return;
+    }
+
     this.chartGroup.selectAll('.vertex-group').each((d, i, g) => {
       const vertexGroup = d3.select(g[i]);
       vertexGroup.attr('data-id', (d) => d._id).attr('type', (d) => d.type);
@@ -488,8 +926,17 @@ class Force extends BaseGraph {
       this.setVertexCircleAttr(vertexGroup.select('.circle'));
       this.setIconAttr(vertexGroup.select('.icon'));
       this.setVertexNameAttr(vertexGroup.select('.vertex-name'));
+      this.setPinAttr(vertexGroup.select('.pin'));
     });
   }
+  setPinAttr(node) {
+    node
+      .style('display', (d) => (this.isPinned(d) ? null : 'none'))
+      .attr('transform', (d) => {
+        let offset = this.getRadius(d) * 0.75;
+        return `translate(${offset}, ${-offset})`;
+      });
+  }
   setVertexCircleAttr(node) {
     node.attr('d', (d) => {
       let type = this.getShape(d);
@@ -530,12 +977,6 @@ class Force extends BaseGraph {
       });
   }
   setVertexNameAttr(node) {
-    if (this.getTransform().k < 0.8) {
-      node.style('opacity', '0');
-    } else {
-      node.style('opacity', '1');
-    }
-
     const data = node.datum();
     if (!data.name) return;
 
@@ -552,6 +993,11 @@ class Force extends BaseGraph {
     this.drawType(node);
   }
   setVertexStyle() {
+    if (this.renderer) {
+      this.renderer.requestDraw();
+      return this;
+    }
+
     this.chartGroup
       .selectAll('.circle')
       .attr('fill', (d) => this.getVertexColor(d))
@@ -562,6 +1008,8 @@ class Force extends BaseGraph {
 
     this.chartGroup.selectAll('text.vertex-name').style('fill', (d) => this.getVertexNameColor(d));
 
+    this.chartGroup.selectAll('.pin').attr('fill', (d) => this.getPinColor(d));
+
     return this;
   }
   drawType(text) {
@@ -582,7 +1030,10 @@ class Force extends BaseGraph {
   }
   // 边
   drawEdges() {
-    const update = this.chartGroup.select('.edges').selectAll('.edge').data(this.edges);
+    const update = this.chartGroup
+      .select('.edges')
+      .selectAll('.edge')
+      .data(this.edges, (d) => d._id);
     this.linkEnter = update.enter();
     const exit = update.exit();
 
@@ -608,6 +1059,11 @@ class Force extends BaseGraph {
       .style('user-select', 'none');
   }
   setEdgeAttr() {
+    if (this.renderer) {
+      this.renderer.requestDraw();
+      return;
+    }
+
     this.chartGroup.selectAll('.edge').each((d, i, g) => {
       const edge = d3.select(g[i]);
       edge.attr('data-id', (d) => d._id).attr('type', (d) => d.type);
@@ -627,18 +1083,15 @@ class Force extends BaseGraph {
       .attr('xlink:href', (d) => {
         return '#path_' + d._id;
       })
-      .text((d) => {
-        return d.label || '';
-      })
+      .text((d) => this.getEdgeLabel(d))
       .style('font-size', this.options.edgeFontSize);
-
-    if (this.getTransform().k < 0.8) {
-      node.style('opacity', '0');
-    } else {
-      node.style('opacity', '1');
-    }
   }
   setEdgeStyle() {
+    if (this.renderer) {
+      this.renderer.requestDraw();
+      return this;
+    }
+
     // 边
     this.chartGroup
       .selectAll('.edge-path')
@@ -660,7 +1113,7 @@ class Force extends BaseGraph {
     const update = this.chartGroup
       .select('.reverse-paths')
       .selectAll('.reverse-path')
-      .data(this.edges);
+      .data(this.edges, (d) => d._id);
     const enter = update.enter();
     const exit = update.exit();
 
@@ -686,7 +1139,10 @@ class Force extends BaseGraph {
   }
   drawArrow() {
     // 箭头
-    const update = this.chartGroup.select('.arrows').selectAll('.arrow-marker').data(this.edges);
+    const update = this.chartGroup
+      .select('.arrows')
+      .selectAll('.arrow-marker')
+      .data(this.edges, (d) => d._id);
     const enter = update.enter();
     const exit = update.exit();
 
@@ -709,22 +1165,282 @@ class Force extends BaseGraph {
     exit.remove();
   }
   setArrowStyle() {
-    this.chartGroup.selectAll('.arrow-path').attr('fill', (d) => this.getArrowColor(d));
+    // 通过 marker 选择, 使箭头使用绑定到 marker 上的最新数据
+    this.chartGroup
+      .selectAll('.arrow-marker')
+      .select('.arrow-path')
+      .attr('fill', (d) => this.getArrowColor(d));
 
     return this;
   }
 
   /* 事件 */
   bindEvents() {}
+  addZoom(scale) {
+    super.addZoom(scale);
+
+    // 框选和套索模式下, 在空白处拖拽用于选择, 只保留滚轮缩放
+    const filter = this.zoom.filter();
+    this.zoom.filter(
+      (...args) =>
+        filter(...args) && (d3.event instanceof WheelEvent || this.selectMode === 'select')
+    );
+    this.bindBrush();
+
+    return this;
+  }
   zooming() {
-    // 缩放过程中, 小于 0.8 则将文本隐藏
-    if (d3.event.transform.k < 0.8) {
-      this.chartGroup.selectAll('.vertex-name').style('opacity', '0');
-      this.chartGroup.selectAll('.edge-label').style('opacity', '0');
-    } else {
-      this.chartGroup.selectAll('.vertex-name').style('opacity', '1');
-      this.chartGroup.selectAll('.edge-label').style('opacity', '1');
+    // 复写, 文字等细节的显示由 applyLod 处理
+  }
+  onZoom() {
+    this.applyLod();
+  }
+
+  /* 选择 */
+  isSelected(d) {
+    const { vertexes, edges } = this.selection;
+    return d._to === undefined ? vertexes.has(d._id) : edges.has(d._id);
+  }
+  select(vertexIds = [], edgeIds = [], mode = 'replace') {
+    const { vertexes, edges } = this.selection;
+    const before = JSON.stringify(this.getSelection());
+
+    if (mode === 'replace') {
+      vertexes.clear();
+      edges.clear();
     }
+    const apply = (set, ids) => {
+      ids.forEach((id) => {
+        if (mode === 'remove' || (mode === 'toggle' && set.has(id))) {
+          set.delete(id);
+        } else {
+          set.add(id);
+        }
+      });
+    };
+    apply(vertexes, vertexIds);
+    apply(edges, edgeIds);
+
+    const selection = this.getSelection();
+    if (JSON.stringify(selection) !== before) {
+      this.setVertexStyle().setEdgeStyle();
+      this.selectionChange(selection);
+    }
+    return this;
+  }
+  clearSelection() {
+    return this.select([], [], 'replace');
+  }
+  getSelection() {
+    return {
+      vertexIds: Array.from(this.selection.vertexes),
+      edgeIds: Array.from(this.selection.edges),
+    };
+  }
+  selectionChange(selection) {
+    // 可复写方法, 选择改变时调用
+  }
+  setSelectMode(mode) {
+    this.selectMode = mode;
+    this.svg.style('cursor', mode === 'select' ? null : 'crosshair');
+    return this;
+  }
+  bindBrush() {
+    this.svg.on('mousedown.brush', () => {
+      const event = d3.event;
+      if (this.selectMode === 'select' || event.button !== 0) return;
+      event.preventDefault();
+
+      // 框选只使用起点和终点, 套索使用鼠标经过的所有点
+      const lasso = this.selectMode === 'lasso';
+      let points = [d3.mouse(this.chartGroup.node())];
+      const getPolygon = () => {
+        if (lasso) return points;
+        const [x0, y0] = points[0];
+        const [x1, y1] = points[points.length - 1];
+        return [
+          [x0, y0],
+          [x1, y0],
+          [x1, y1],
+          [x0, y1],
+        ];
+      };
+      const { k } = this.getTransform();
+      const brush = this.chartGroup
+        .append('path')
+        .classed('brush', true)
+        .attr('fill', 'rgba(57, 103, 250, 0.1)')
+        .attr('stroke', this.getSelectedColor({}))
+        .attr('stroke-width', 1 / k)
+        .attr('stroke-dasharray', `${4 / k},${4 / k}`);
+
+      const view = d3.select(event.view);
+      view
+        .on('mousemove.brush', () => {
+          points.push(d3.mouse(this.chartGroup.node()));
+          brush.attr('d', 'M' + getPolygon().join('L') + 'Z');
+        })
+        .on('mouseup.brush', () => {
+          view.on('mousemove.brush mouseup.brush', null);
+          brush.remove();
+          if (points.length < 2) return;
+
+          // 拖拽结束后的 click 不再触发取消高亮等操作
+          view.on(
+            'click.brush',
+            () => {
+              d3.event.stopPropagation();
+              view.on('click.brush', null);
+            },
+            true
+          );
+          setTimeout(() => view.on('click.brush', null), 0);
+
+          const polygon = getPolygon();
+          const inside = (v) => d3.polygonContains(polygon, [v.x, v.y]);
+          const vertexIds = this.getVisibleVertexes()
+            .filter(inside)
+            .map((v) => v._id);
+          const edgeIds = this.edges
+            .filter((e) => vertexIds.indexOf(e._from) !== -1 && vertexIds.indexOf(e._to) !== -1)
+            .map((e) => e._id);
+          this.select(vertexIds, edgeIds, d3.event.shiftKey ? 'add' : 'replace');
+        });
+    });
+    return this;
+  }
+
+  /* 细节层次 */
+  getLodState(k) {
+    const { label, icon, arrow, curve, cluster } = this.options.lod;
+    return {
+      label: k >= label,
+      icon: k >= icon,
+      arrow: k >= arrow,
+      curve: k >= curve,
+      cluster: k < cluster,
+    };
+  }
+  applyLod(force) {
+    const { k } = this.getTransform();
+    const prev = this.lodState;
+    const state = this.getLodState(k);
+    const changed = force || Object.keys(state).some((key) => state[key] !== prev[key]);
+    const scaled = k !== this.lodScale;
+    this.lodState = state;
+    this.lodScale = k;
+
+    if (this.renderer) {
+      if (changed || scaled) this.renderer.requestDraw();
+      return this;
+    }
+
+    if (changed) {
+      const display = (show) => (show ? null : 'none');
+      this.chartGroup.selectAll('.vertex-name, .edge-label').style('display', display(state.label));
+      this.chartGroup.selectAll('.icon').style('display', display(state.icon));
+      this.chartGroup
+        .selectAll('.arrow-marker .arrow-path')
+        .style('display', display(state.arrow));
+      this.chartGroup.selectAll('.vertexes, .edges').style('display', display(!state.cluster));
+      if (!state.cluster) this.chartGroup.select('.clusters').selectAll('*').remove();
+
+      // 弧度变化或者退出聚合时, 需要重新计算位置
+      if (force || prev.curve !== state.curve || prev.cluster !== state.cluster) {
+        this.onTick();
+      }
+    } else if (state.cluster && scaled) {
+      // 网格的大小随缩放变化
+      this.drawClusters();
+    }
+    return this;
+  }
+  getClusters() {
+    const size = this.options.lod.clusterSize / this.getTransform().k;
+    let cellMap = {};
+    let clusterMap = {};
+    let clusters = [];
+    this.vertexes.forEach((v) => {
+      const id = Math.floor(v.x / size) + '_' + Math.floor(v.y / size);
+      let cluster = cellMap[id];
+      if (!cluster) {
+        cluster = cellMap[id] = { id, x: 0, y: 0, count: 0, vertexes: [] };
+        clusters.push(cluster);
+      }
+      cluster.x += v.x;
+      cluster.y += v.y;
+      cluster.count++;
+      cluster.vertexes.push(v);
+      clusterMap[v._id] = cluster;
+    });
+    clusters.forEach((c) => {
+      c.x /= c.count;
+      c.y /= c.count;
+    });
+
+    // 簇之间的边合并为一条, count 表示合并的边数
+    let linkMap = {};
+    let links = [];
+    this.edges.forEach((e) => {
+      const source = clusterMap[e._from];
+      const target = clusterMap[e._to];
+      if (!source || !target || source === target) return;
+      const id = source.id < target.id ? source.id + '-' + target.id : target.id + '-' + source.id;
+      if (!linkMap[id]) {
+        linkMap[id] = { id, source, target, count: 0 };
+        links.push(linkMap[id]);
+      }
+      linkMap[id].count++;
+    });
+
+    return { clusters, links };
+  }
+  drawClusters() {
+    const { clusters, links } = this.getClusters();
+    const { k } = this.getTransform();
+    const group = this.chartGroup.select('.clusters');
+
+    const linkUpdate = group.selectAll('.cluster-link').data(links, (d) => d.id);
+    linkUpdate.exit().remove();
+    linkUpdate
+      .enter()
+      .insert('line', ':first-child')
+      .classed('cluster-link', true)
+      .merge(linkUpdate)
+      .attr('x1', (d) => d.source.x)
+      .attr('y1', (d) => d.source.y)
+      .attr('x2', (d) => d.target.x)
+      .attr('y2', (d) => d.target.y)
+      .attr('stroke', this.getEdgeColor({ state: 'normal' }))
+      .attr('stroke-width', (d) => (1 + Math.log(d.count)) / k);
+
+    const update = group.selectAll('.cluster').data(clusters, (d) => d.id);
+    update.exit().remove();
+    const enter = update.enter().append('g').classed('cluster', true);
+    enter.append('circle');
+    enter.append('text').style('text-anchor', 'middle').style('dominant-baseline', 'central');
+    const cluster = enter.merge(update).attr('transform', (d) => `translate(${d.x}, ${d.y})`);
+    cluster
+      .select('circle')
+      .attr('r', (d) => this.getClusterRadius(d))
+      .attr('fill', (d) => this.getClusterColor(d));
+    cluster
+      .select('text')
+      .text((d) => (d.count > 1 ? d.count : ''))
+      .style('font-size', 12 / k)
+      .style('fill', '#fff');
+    cluster.on('click', (d) => {
+      d3.event.stopPropagation();
+      this.zoomToCluster(d);
+    });
+
+    return this;
+  }
+  zoomToCluster(c) {
+    const { width, height, lod, scaleExtent } = this.options;
+    const k = Math.min(scaleExtent[1], Math.max(lod.label, lod.cluster, 1));
+    this.transformTo(d3.zoomIdentity.translate(width / 2 - c.x * k, height / 2 - c.y * k).scale(k));
+    return this;
   }
   renderEnd() {
     // 复写, 每次 tick 结束之后出发
@@ -740,21 +1456,144 @@ class Force extends BaseGraph {
     this.nodeEnter.selectAll('.vertex-group').call(this.drag);
   }
   onDragStart(d) {
+    // 拖拽期间暂停 worker 中的计算, 拖拽结束之后从当前的位置继续
+    if (this.worker) {
+      this.workerResume = this.workerAlpha;
+      this.stopWorker();
+    }
     if (!d3.event.active) this.simulation.alphaTarget(0.3).restart();
     d.fx = d.x;
     d.fy = d.y;
+    this.dragMoved = false;
+    this.dragGroup = this.getDragGroup(d);
+    this.dragPositions = this.getPositions([d].concat(this.dragGroup.map(({ vertex }) => vertex)));
+    this.dragGroup.forEach(({ vertex }) => {
+      vertex.fx = vertex.x;
+      vertex.fy = vertex.y;
+    });
+  }
+  // 拖拽选中的顶点时, 其他选中的顶点保持相对位置一起移动
+  getDragGroup(d) {
+    if (!this.isSelected(d)) return [];
+    return this.vertexes
+      .filter((v) => v !== d && this.isSelected(v))
+      .map((v) => ({ vertex: v, dx: v.x - d.x, dy: v.y - d.y }));
   }
   onDrag(d) {
     d.fx = d3.event.x;
     d.fy = d3.event.y;
+    this.dragGroup.forEach(({ vertex, dx, dy }) => {
+      vertex.fx = d.fx + dx;
+      vertex.fy = d.fy + dy;
+    });
+    this.dragMoved = true;
   }
   onDragEnd(d) {
     if (!d3.event.active) this.simulation.alphaTarget(0);
-    d.fx = null;
-    d.fy = null;
+    let vertexes = [d].concat(this.dragGroup.map(({ vertex }) => vertex));
+    this.dragGroup = [];
+
+    // 单击也会触发拖拽事件, 只有真正移动过才固定
+    if (this.dragMoved && this.options.pinOnDrag) {
+      this.pin((v) => vertexes.indexOf(v) !== -1);
+    } else {
+      // 固定的顶点停留在拖拽结束的位置
+      vertexes.forEach((v) => {
+        v.fx = v.pinned ? v.fx : null;
+        v.fy = v.pinned ? v.fy : null;
+      });
+    }
+
+    // 多个顶点一起移动作为一次操作记录
+    if (this.dragMoved && vertexes.length > 1) {
+      this.syncPositions();
+      this.moveEnd(this.startRecord().recordPositions(this.dragPositions).endRecord());
+    }
+
+    if (this.workerResume !== null && !d3.event.active) {
+      let alpha = this.workerResume;
+      this.workerResume = null;
+      if (this.canUseWorker()) this.runWorker(alpha);
+    }
+  }
+  moveEnd(cache) {
+    // 可复写方法, 多个顶点一起移动之后调用
+  }
+  // 平移顶点, 与拖拽一样会固定移动之后的顶点
+  moveVertexes(ids, dx, dy, cb) {
+    let vertexes = this.vertexes.filter((v) => ids.indexOf(v._id) !== -1 && typeof v.x === 'number');
+    if (vertexes.length === 0) return this;
+
+    this.startRecord();
+    let positions = this.getPositions(vertexes);
+    vertexes.forEach((v) => {
+      v.x += dx;
+      v.y += dy;
+      if (v.fx != null) {
+        v.fx += dx;
+        v.fy += dy;
+      }
+    });
+    if (this.options.pinOnDrag) {
+      this.pin((v) => vertexes.indexOf(v) !== -1);
+    }
+    this.onTick();
+    this.syncPositions();
+
+    let cache = this.recordPositions(positions).endRecord();
+    cb && cb(cache);
+    return this;
+  }
+  /* 顶点固定 */
+  isPinned(d) {
+    return !!d.pinned;
+  }
+  pinVertex(id) {
+    return this.pin((v) => v._id === id);
+  }
+  pin(filter) {
+    let vertexes = this.vertexes.filter(filter);
+    if (vertexes.length === 0) return this;
+
+    vertexes.forEach((v) => {
+      v.pinned = true;
+      v.fx = v.fx == null ? v.x : v.fx;
+      v.fy = v.fy == null ? v.y : v.fy;
+    });
+    this.setVertexAttr();
+    this.setVertexStyle();
+    this.syncPositions();
+    return this;
+  }
+  unpinVertex(id) {
+    return this.unpin((v) => v._id === id);
+  }
+  unpinAll() {
+    return this.unpin(() => true);
+  }
+  unpin(filter) {
+    let vertexes = this.vertexes.filter((v) => v.pinned && filter(v));
+    if (vertexes.length === 0) return this;
+
+    vertexes.forEach((v) => {
+      v.pinned = false;
+      v.fx = null;
+      v.fy = null;
+    });
+    this.setVertexAttr();
+    this.syncPositions();
+
+    // 重新加热, 使顶点回到力的平衡位置
+    this.reheat();
+    return this;
   }
   // 绑定点击事件
   addClick(onVertexClick, onEdgeClick) {
+    if (this.renderer) {
+      this.renderer.bindClick(onVertexClick, onEdgeClick);
+      return;
+    }
+
     this.nodeEnter.selectAll('.vertex').on('click', (...args) => {
       d3.event.stopPropagation();
       onVertexClick(...args);
@@ -765,15 +1604,28 @@ class Force extends BaseGraph {
     });
   }
   // 绑定 hover 事件
-  // addHover(onVertexHover, onVertexHoverout, onEdgeHover, onEdgeHoverout) {
-  //   this.nodeEnter.selectAll('.vertex').on('mouseenter', onVertexHover);
-  //   this.nodeEnter.selectAll('.vertex').on('mouseleave', onVertexHoverout);
+  addHover(onVertexHover, onVertexHoverout, onEdgeHover, onEdgeHoverout) {
+    if (this.renderer) {
+      this.renderer.bindHover(onVertexHover, onVertexHoverout, onEdgeHover, onEdgeHoverout);
+      return;
+    }
 
-  //   this.linkEnter.on('mouseenter', onEdgeHover);
-  //   this.linkEnter.on('mouseleave', onEdgeHoverout);
-  // }
+    this.nodeEnter
+      .selectAll('.vertex')
+      .on('mouseenter.hover', onVertexHover)
+      .on('mouseleave.hover', onVertexHoverout);
+    this.linkEnter
+      .selectAll('.edge')
+      .on('mouseenter.hover', onEdgeHover)
+      .on('mouseleave.hover', onEdgeHoverout);
+  }
   // 绑定右键点击事件
   bindRightClick(cb) {
+    if (this.renderer) {
+      this.renderer.bindRightClick(cb);
+      return;
+    }
+
     this.nodeEnter.selectAll('.vertex').on('contextmenu', (...args) => {
       d3.event.preventDefault();
       d3.event.stopPropagation();
@@ -795,10 +1647,29 @@ class Force extends BaseGraph {
       }
     });
   }
-  // TODO: 绑定双击事件
-  addDblClick(cb) {}
+  // 绑定双击事件
+  addDblClick(onVertexDblClick, onEdgeDblClick) {
+    if (this.renderer) {
+      this.renderer.bindDblClick(onVertexDblClick, onEdgeDblClick);
+      return;
+    }
+
+    this.nodeEnter.selectAll('.vertex').on('dblclick', (...args) => {
+      d3.event.stopPropagation();
+      onVertexDblClick && onVertexDblClick(...args);
+    });
+    this.linkEnter.selectAll('.edge').on('dblclick', (...args) => {
+      d3.event.stopPropagation();
+      onEdgeDblClick && onEdgeDblClick(...args);
+    });
+  }
   // 绑定连线事件
   bindLineWith(start, end) {
+    if (this.renderer) {
+      this.renderer.bindLineWith(start, end);
+      return;
+    }
+
     this.nodeEnter
       .selectAll('.vertex')
       .on('mouseup.line', (d) => {
@@ -949,10 +1820,25 @@ class Force extends BaseGraph {
     }
   }
   getVertexStrokeColor(d) {
-    return 'none';
+    return this.isSelected(d) ? this.getSelectedColor(d) : 'none';
   }
   getVertexStrokeWidth(d) {
-    return 1;
+    return this.isSelected(d) ? 3 : 1;
+  }
+  getSelectedColor(d) {
+    return this.theme === 'dark' ? '#69c0ff' : '#3967fa';
+  }
+  getPinColor(d) {
+    return this.theme === 'dark' ? '#fff' : '#f5222d';
+  }
+  getClusterColor(c) {
+    return this.getVertexColor(c.vertexes[0]);
+  }
+  getClusterRadius(c) {
+    const { r, lod } = this.options;
+    // 半径随顶点数量增大, 但不超过网格的一半
+    const max = lod.clusterSize / this.getTransform().k / 2;
+    return Math.min(max, (r / 2) * Math.sqrt(c.count));
   }
   getVertexNameColor(d) {
     // return '#42444C';
@@ -1052,6 +1938,7 @@ class Force extends BaseGraph {
   // }
   getEdgeColor(d) {
     // return '#D9D9D9';
+    if (d._id && this.isSelected(d)) return this.getSelectedColor(d);
     switch (this.theme + '-' + d.state) {
       case 'light-normal':
       case 'light-grey':
@@ -1083,7 +1970,17 @@ class Force extends BaseGraph {
         return '#000';
     }
   }
+  getEdgeLabel(d) {
+    return d.label || '';
+  }
+  getOpacity(d) {
+    const items = this.previewItems;
+    if (!items) return 1;
+    const ids = d._to === undefined ? items.vertexes : items.edges;
+    return ids.has(d._id) ? 1 : this.options.previewOpacity;
+  }
   getEdgeWidth(d) {
+    if (d._id && this.isSelected(d)) return 3;
     switch (d.state) {
       case 'normal':
       case 'grey':
@@ -1127,6 +2024,7 @@ class Force extends BaseGraph {
     this.data = deepCopy(chartData);
     this.vertexes = this.data.vertexes;
     this.edges = this.data.edges;
+    this.restorePositions = true;
 
     // 完全重新渲染整个 SVG
     this.chartGroup.selectAll('*').remove();
@@ -1135,6 +2033,8 @@ class Force extends BaseGraph {
   }
   changeRawData(type, rawData, updateData) {
     let [newType, dataType] = type.split('-');
+    let scope = rawData === this.rawData ? 'rawData' : 'data';
+    this.recordChange(newType, scope, dataType, rawData[dataType], updateData);
     this.changeData(newType, rawData[dataType], updateData);
 
     return this;
@@ -1168,22 +2068,8 @@ class Force extends BaseGraph {
     }
   }
   // 增加节点和边数据
-  // reAddVertex(data) {
-  //   let { vertex, edges } = data;
-  //   let rawVertex = diffAssign(this.defaultVertex, vertex);
-  //   this.changeRawData('add-vertexes', this.rawData, rawVertex);
-  //   this.changeRawData('add-vertexes', this.data, vertex);
-
-  //   if (edges) {
-  //     edges.forEach((edge) => {
-  //       let rawEdge = diffAssign(this.defaultEdge, edge);
-  //       this.changeRawData('add-edges', this.rawData, rawEdge);
-  //       this.changeRawData('add-edges', this.data, edge);
-  //     });
-  //   }
-  //   this.update();
-  // }
   addVertex(x, y, data, cb) {
+    this.startRecord();
     let defaultData = deepCopy(this.defaultVertex);
     if (!data._id) {
       let id = this.newId();
@@ -1192,26 +2078,24 @@ class Force extends BaseGraph {
     let rawVertex = diffAssign(defaultData, data);
     let vertex = Object.assign({}, defaultData, data);
 
-    this.changeRawData('add-vertexes', this.rawData, rawVertex);
     // 抵消偏移和缩放的影响
     let { x: curX, y: curY, k: curK } = this.getTransform();
     x = (x - curX) / curK;
     y = (y - curY) / curK;
 
-    vertex.x = x;
-    vertex.y = y;
+    vertex.x = rawVertex.x = x;
+    vertex.y = rawVertex.y = y;
 
+    this.changeRawData('add-vertexes', this.rawData, rawVertex);
     this.changeRawData('add-vertexes', this.data, vertex);
 
     this.update();
 
-    let cache = {
-      rawData: deepCopy(this.rawData),
-      chartData: deepCopy(this.data),
-    };
+    let cache = this.endRecord();
     cb && cb(cache);
   }
   addEdge(data, cb) {
+    this.startRecord();
     let defaultData = deepCopy(this.defaultEdge);
     if (!data._id) {
       let id = this.newId();
@@ -1224,12 +2108,66 @@ class Force extends BaseGraph {
     this.changeRawData('add-edges', this.data, edge);
     this.update();
 
-    let cache = {
-      rawData: deepCopy(this.rawData),
-      chartData: deepCopy(this.data),
-    };
+    let cache = this.endRecord();
     cb && cb(cache);
   }
+  // 复制与粘贴
+  getSubgraph(vertexIds) {
+    this.syncPositions();
+    let vertexes = this.rawData.vertexes.filter((v) => vertexIds.indexOf(v._id) !== -1);
+    let edges = this.rawData.edges.filter(
+      (e) => vertexIds.indexOf(e._from) !== -1 && vertexIds.indexOf(e._to) !== -1
+    );
+    return deepCopy({ vertexes, edges });
+  }
+  addSubgraph(data, x, y, cb) {
+    this.startRecord();
+    // 抵消偏移和缩放的影响
+    let { x: curX, y: curY, k: curK } = this.getTransform();
+    x = (x - curX) / curK;
+    y = (y - curY) / curK;
+
+    // 原来的中心, 没有位置的顶点直接放在 (x, y)
+    let positioned = data.vertexes.filter((v) => isFinite(v.x) && isFinite(v.y));
+    let cx = positioned.reduce((sum, v) => sum + v.x, 0) / (positioned.length || 1);
+    let cy = positioned.reduce((sum, v) => sum + v.y, 0) / (positioned.length || 1);
+
+    // 粘贴的数据保留所有的属性, 不只是默认数据中的字段
+    let idMap = {};
+    let vertexIds = [];
+    let edgeIds = [];
+    data.vertexes.forEach((item) => {
+      let id = this.newId();
+      let isPositioned = isFinite(item.x) && isFinite(item.y);
+      let vertex = Object.assign(deepCopy(this.defaultVertex), deepCopy(item), {
+        _id: id,
+        x: isPositioned ? x + item.x - cx : x,
+        y: isPositioned ? y + item.y - cy : y,
+      });
+      idMap[item._id] = id;
+      vertexIds.push(id);
+      this.changeRawData('add-vertexes', this.rawData, vertex);
+      this.changeRawData('add-vertexes', this.data, vertex);
+    });
+    data.edges.forEach((item) => {
+      if (!idMap[item._from] || !idMap[item._to]) return;
+      let id = this.newId();
+      let edge = Object.assign(deepCopy(this.defaultEdge), deepCopy(item), {
+        _id: id,
+        _from: idMap[item._from],
+        _to: idMap[item._to],
+      });
+      edgeIds.push(id);
+      this.changeRawData('add-edges', this.rawData, edge);
+      this.changeRawData('add-edges', this.data, edge);
+    });
+    this.update();
+
+    let cache = this.endRecord();
+    cb && cb(cache);
+
+    return { vertexIds, edgeIds };
+  }
   // 创建新的无重复 ID
   newId() {
     let newId = getUUId();
@@ -1241,64 +2179,107 @@ class Force extends BaseGraph {
   }
   // 改变节点和边的数据
   updateVertex(data, cb) {
-    this.changeRawData('update-vertexes', this.rawData, data);
-    this.changeRawData('update-vertexes', this.data, data);
+    this.updateVertexes([data], cb);
+  }
+  updateEdge(data, cb) {
+    this.updateEdges([data], cb);
+  }
+  updateVertexes(list, cb) {
+    this.startRecord();
+    list.forEach((data) => {
+      this.changeRawData('update-vertexes', this.rawData, data);
+      this.changeRawData('update-vertexes', this.data, data);
+    });
     this.setVertexAttr();
 
-    let cache = {
-      rawData: deepCopy(this.rawData),
-      chartData: deepCopy(this.data),
-    };
+    let cache = this.endRecord();
     cb && cb(cache);
   }
-  updateEdge(data, cb) {
-    this.changeRawData('update-edges', this.rawData, data);
-    this.changeRawData('update-edges', this.data, data);
+  updateEdges(list, cb) {
+    this.startRecord();
+    list.forEach((data) => {
+      this.changeRawData('update-edges', this.rawData, data);
+      this.changeRawData('update-edges', this.data, data);
+    });
     this.setEdgeAttr();
 
-    let cache = {
-      rawData: deepCopy(this.rawData),
-      chartData: deepCopy(this.data),
-    };
+    let cache = this.endRecord();
     cb && cb(cache);
   }
   // 删除节点和边数据
   removeVertex(id, cb) {
-    let vertex = this.getVertexById(id);
-    if (!vertex) return;
-
-    this.changeRawData('remove-vertexes', this.rawData, id);
-    this.changeRawData('remove-vertexes', this.data, id);
+    this.removeItems([id], [], cb);
+  }
+  removeEdge(id, cb) {
+    this.removeItems([], [id], cb);
+  }
+  removeItems(vertexIds = [], edgeIds = [], cb) {
+    this.startRecord();
+    let removed = this.excludeItems([this.rawData, this.data], vertexIds, edgeIds);
+    let cache = this.endRecord();
+    if (!removed) return;
+    this.update();
 
-    // 相关的边也需要删除
-    let edges = this.rawData.edges.filter((e) => {
-      return e._from === id || e._to === id;
-    });
-    edges.forEach((e) => {
-      this.changeRawData('remove-edges', this.rawData, e._id);
-      this.changeRawData('remove-edges', this.data, e._id);
-    });
+    cb && cb(cache);
+  }
+  // 隐藏与显示
+  hideItems(vertexIds = [], edgeIds = [], cb) {
+    this.startRecord();
+    let hidden = this.excludeItems([this.data], vertexIds, edgeIds);
+    let cache = this.endRecord();
+    if (!hidden) return;
     this.update();
 
-    let cache = {
-      rawData: deepCopy(this.rawData),
-      chartData: deepCopy(this.data),
-    };
     cb && cb(cache);
   }
-  removeEdge(id, cb) {
-    let edge = this.getEdgeById(id);
-    if (!edge) return;
-    this.changeRawData('remove-edges', this.rawData, id);
-    this.changeRawData('remove-edges', this.data, id);
+  showAll(cb) {
+    // 保留当前的位置, 隐藏的顶点回到隐藏之前的位置
+    this.syncPositions();
+    this.startRecord();
+    ['vertexes', 'edges'].forEach((target) => {
+      let ids = {};
+      this.data[target].forEach((d) => {
+        ids[d._id] = true;
+      });
+      this.rawData[target].forEach((item) => {
+        if (!ids[item._id]) this.changeRawData('add-' + target, this.data, item);
+      });
+    });
+    let cache = this.endRecord();
+    if (cache.changes.length === 0) return;
     this.update();
 
-    let cache = {
-      rawData: deepCopy(this.rawData),
-      chartData: deepCopy(this.data),
-    };
     cb && cb(cache);
   }
+  // 从数据中去掉顶点以及相关的边, 返回是否有数据被去掉
+  excludeItems(dataList, vertexIds, edgeIds) {
+    let vertexMap = {};
+    let edgeMap = {};
+    vertexIds.forEach((id) => {
+      vertexMap[id] = true;
+    });
+    edgeIds.forEach((id) => {
+      edgeMap[id] = true;
+    });
+    const isExcluded = (e) => edgeMap[e._id] || vertexMap[e._from] || vertexMap[e._to];
+
+    let changed = false;
+    dataList.forEach((data) => {
+      let scope = data === this.rawData ? 'rawData' : 'data';
+      let vertexes = this.filterItems(scope, 'vertexes', data.vertexes, (v) => !vertexMap[v._id]);
+      let edges = this.filterItems(scope, 'edges', data.edges, (e) => !isExcluded(e));
+      changed =
+        changed ||
+        vertexes.length !== data.vertexes.length ||
+        edges.length !== data.edges.length;
+      data.vertexes = vertexes;
+      data.edges = edges;
+    });
+    this.vertexes = this.data.vertexes;
+    this.edges = this.data.edges;
+
+    return changed;
+  }
   // 过滤与重置
   filterVertex(filter, isInit) {
     if (typeof filter !== 'function') throw new Error('filters need a function as first parameter');
@@ -1379,14 +2360,223 @@ class Force extends BaseGraph {
     return this;
   }
 
+  /* 操作记录 */
+  startRecord() {
+    this.changes = [];
+    return this;
+  }
+  endRecord() {
+    let patch = { changes: this.changes || [] };
+    this.changes = null;
+    if (this.batchChanges) {
+      this.batchChanges = this.batchChanges.concat(patch.changes);
+    }
+    return patch;
+  }
+  beginBatch() {
+    if (!this.batchChanges) this.batchChanges = [];
+    this.batchMarks.push(this.batchChanges.length);
+    return this;
+  }
+  commitBatch() {
+    if (!this.isBatching()) return null;
+    this.batchMarks.pop();
+    if (this.isBatching()) return null;
+
+    let patch = { changes: this.batchChanges };
+    this.batchChanges = null;
+    return patch;
+  }
+  rollbackBatch() {
+    if (!this.isBatching()) return this;
+    let changes = this.batchChanges.splice(this.batchMarks.pop());
+    // 出错的操作可能没有结束记录, 已经发生的修改同样需要撤销
+    if (this.changes) {
+      changes = changes.concat(this.changes);
+      this.changes = null;
+    }
+    if (!this.isBatching()) this.batchChanges = null;
+
+    this.applyPatch({ changes }, true);
+    return this;
+  }
+  isBatching() {
+    return this.batchMarks.length > 0;
+  }
+  // 记录中的数据与绘图数据分离, 边的 source 和 target 会在 preprocessData 中根据 _from 和 _to 重新生成
+  getRecordItem(item) {
+    let copy = Object.assign({}, item);
+    delete copy.source;
+    delete copy.target;
+    return deepCopy(copy);
+  }
+  recordChange(type, scope, target, list, data) {
+    if (!this.changes) return;
+    switch (type) {
+      case 'add':
+        this.changes.push({ type, scope, target, index: list.length, item: this.getRecordItem(data) });
+        break;
+      case 'update': {
+        let item = list.filter((d) => d._id === data._id)[0];
+        if (!item) return;
+        // 与 updateItem 一致, 只记录本身存在并且发生变化的属性
+        let keys = Object.keys(data).filter(
+          (key) => key !== '_id' && item[key] !== undefined && item[key] !== data[key]
+        );
+        if (keys.length === 0) return;
+        let oldValue = {};
+        let newValue = {};
+        keys.forEach((key) => {
+          oldValue[key] = item[key];
+          newValue[key] = data[key];
+        });
+        this.changes.push({
+          type,
+          scope,
+          target,
+          id: data._id,
+          old: deepCopy(oldValue),
+          new: deepCopy(newValue),
+        });
+        break;
+      }
+      case 'remove': {
+        let index = list.map((d) => d._id).indexOf(data);
+        if (index === -1) return;
+        this.changes.push({ type, scope, target, index, item: this.getRecordItem(list[index]) });
+      }
+    }
+  }
+  // 过滤数组, 记录中时同时记录被去掉的项
+  filterItems(scope, target, list, filter) {
+    let result = [];
+    list.forEach((item) => {
+      if (filter(item)) {
+        result.push(item);
+      } else if (this.changes) {
+        // 按顺序删除时所在的位置, 倒序插入即可还原
+        let index = result.length;
+        this.changes.push({ type: 'remove', scope, target, index, item: this.getRecordItem(item) });
+      }
+    });
+    return result;
+  }
+  getPositions(vertexes) {
+    let positions = {};
+    vertexes.forEach((v) => {
+      positions[v._id] = {
+        x: v.x,
+        y: v.y,
+        fx: v.fx == null ? null : v.fx,
+        fy: v.fy == null ? null : v.fy,
+        pinned: !!v.pinned,
+      };
+    });
+    return positions;
+  }
+  // 位置只记录绘图数据, 应用时通过 syncPositions 写入 rawData
+  recordPositions(positions) {
+    if (!this.changes) return this;
+    this.vertexes.forEach((v) => {
+      let old = positions[v._id];
+      if (!old) return;
+      let value = this.getPositions([v])[v._id];
+      this.changes.push({ type: 'update', scope: 'data', target: 'vertexes', id: v._id, old, new: value });
+    });
+    return this;
+  }
+  applyPatch(patch, reverse) {
+    let changes = reverse ? patch.changes.slice().reverse() : patch.changes;
+    let structural = false;
+
+    changes.forEach((change) => {
+      let list = this[change.scope][change.target];
+      let type = change.type;
+      if (reverse && type !== 'update') {
+        type = type === 'add' ? 'remove' : 'add';
+      }
+      let ids = list.map((d) => d._id);
+      switch (type) {
+        case 'add':
+          // 切换布局或者导入之后, 数据可能已经存在
+          if (ids.indexOf(change.item._id) !== -1) return;
+          list.splice(Math.min(change.index, list.length), 0, deepCopy(change.item));
+          structural = true;
+          break;
+        case 'remove': {
+          let index = ids.indexOf(change.item._id);
+          if (index === -1) return;
+          list.splice(index, 1);
+          structural = true;
+          break;
+        }
+        case 'update': {
+          let item = list[ids.indexOf(change.id)];
+          if (!item) return;
+          Object.assign(item, deepCopy(reverse ? change.old : change.new));
+        }
+      }
+    });
+
+    this.vertexes = this.data.vertexes;
+    this.edges = this.data.edges;
+    if (structural) {
+      // 保留已有的位置, 数据绑定以 _id 为 key, 只会增加和删除变化的元素
+      this.restorePositions = true;
+      this.update();
+    }
+    this.setVertexAttr();
+    this.setEdgeAttr();
+    this.onTick();
+    this.syncPositions();
+    return this;
+  }
+  getSnapshot() {
+    this.syncPositions();
+    return {
+      data: deepCopy(this.rawData),
+      chartData: {
+        vertexes: this.data.vertexes.map((v) => this.getRecordItem(v)),
+        edges: this.data.edges.map((e) => this.getRecordItem(e)),
+      },
+    };
+  }
+  restoreSnapshot(snapshot, cb) {
+    this.startRecord();
+    [
+      ['rawData', snapshot.data],
+      ['data', snapshot.chartData],
+    ].forEach(([scope, source]) => {
+      ['edges', 'vertexes'].forEach((target) => {
+        // 从后往前删除当前的数据, 撤销时按照相反的顺序添加回原来的位置
+        let list = this[scope][target];
+        for (let i = list.length - 1; i >= 0; i--) {
+          let item = this.getRecordItem(list[i]);
+          this.changes.push({ type: 'remove', scope, target, index: i, item });
+        }
+        source[target].forEach((item, index) => {
+          this.changes.push({ type: 'add', scope, target, index, item: deepCopy(item) });
+        });
+      });
+    });
+    let cache = this.endRecord();
+    this.applyPatch(cache);
+    cb && cb(cache);
+    return this;
+  }
+
   /* 辅助函数 */
   // 获取当前 svg 的 transform
   getTransform() {
     return d3.zoomTransform(this.svg.node());
   }
-  // 变形至传递的 transform
-  transformTo(transform) {
-    this.svg.transition().duration(300).call(this.zoom.transform, transform);
+  // 变形至传递的 transform, duration 为 0 时不使用过渡动画
+  transformTo(transform, duration = 300) {
+    if (duration > 0) {
+      this.svg.transition().duration(duration).call(this.zoom.transform, transform);
+    } else {
+      this.svg.interrupt().call(this.zoom.transform, transform);
+    }
   }
   // 缩放至某个值
   zoomTo(scale) {
@@ -1426,6 +2616,59 @@ class Force extends BaseGraph {
 
     return this;
   }
+  getVisibleVertexes() {
+    return this.vertexes;
+  }
+  getBBox(vertexes) {
+    let [x0, y0, x1, y1] = [Infinity, Infinity, -Infinity, -Infinity];
+    vertexes.forEach((v) => {
+      const r = this.getRadius(v);
+      x0 = Math.min(x0, v.x - r);
+      y0 = Math.min(y0, v.y - r);
+      x1 = Math.max(x1, v.x + r);
+      y1 = Math.max(y1, v.y + r);
+    });
+    if (!vertexes.length) return null;
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+  }
+  fitView(padding = 40) {
+    return this.fitBBox(this.getBBox(this.getVisibleVertexes()), padding);
+  }
+  zoomToVertices(ids, padding = 40) {
+    ids = Array.isArray(ids) ? ids : [ids];
+    const vertexes = this.getVisibleVertexes().filter((v) => ids.indexOf(v._id) !== -1);
+    return this.fitBBox(this.getBBox(vertexes), padding);
+  }
+  fitBBox(bbox, padding) {
+    if (!bbox) return this;
+
+    const { width, height } = this.options;
+    const scaleExtent = this.zoom.scaleExtent();
+    let k = Math.min(
+      (width - padding * 2) / Math.max(bbox.width, 1),
+      (height - padding * 2) / Math.max(bbox.height, 1)
+    );
+    k = Math.min(scaleExtent[1], Math.max(scaleExtent[0], k));
+
+    // 区域的中心与画布中心重合
+    const cx = bbox.x + bbox.width / 2;
+    const cy = bbox.y + bbox.height / 2;
+    this.transformTo(d3.zoomIdentity.translate(width / 2 - cx * k, height / 2 - cy * k).scale(k));
+
+    return this;
+  }
+  centerOn(id) {
+    const vertex = this.getVertexById(id);
+    if (!vertex) return this;
+
+    const { width, height } = this.options;
+    const { k } = this.getTransform();
+    this.transformTo(
+      d3.zoomIdentity.translate(width / 2 - vertex.x * k, height / 2 - vertex.y * k).scale(k)
+    );
+
+    return this;
+  }
   // 获取统计信息
   getCount() {
     let result = {};
@@ -1458,13 +2701,36 @@ class Force extends BaseGraph {
   resetStyle() {
     this.setVertexStyle().setEdgeStyle().setBgColor();
   }
+  // 预览
+  preview(vertexIds = [], edgeIds = []) {
+    this.previewItems = {
+      vertexes: new Set(vertexIds),
+      edges: new Set(edgeIds),
+    };
+    return this.setOpacity();
+  }
+  clearPreview() {
+    if (!this.previewItems) return this;
+    this.previewItems = null;
+    return this.setOpacity();
+  }
+  setOpacity() {
+    if (this.renderer) {
+      this.renderer.requestDraw();
+      return this;
+    }
+
+    this.chartGroup.selectAll('.vertex').style('opacity', (d) => this.getOpacity(d));
+    this.chartGroup.selectAll('.edge').style('opacity', (d) => this.getOpacity(d));
+    return this;
+  }
   setBgColor() {
     this.svg.style('background', this.getBgColor());
     return this;
   }
   // 高亮顶点和边
   highlightVertex(ids) {
-    this.chartGroup.selectAll('.vertex-group').each((d, i, g) => {
+    this.vertexes.forEach((d) => {
       if (ids && ids.includes(d._id)) {
         d.state = 'highlight';
       } else {
@@ -1477,7 +2743,7 @@ class Force extends BaseGraph {
     return this;
   }
   highlightEdge(ids) {
-    this.chartGroup.selectAll('.edge').each((d, i, g) => {
+    this.edges.forEach((d) => {
       if (ids && ids.includes(d._id)) {
         d.state = 'highlight';
       } else {
@@ -1591,5 +2857,28 @@ class Force extends BaseGraph {
       edgeIds,
     };
   }
+  getNeighbours(id) {
+    let vertexMap = {};
+    this.vertexes.forEach((v) => {
+      vertexMap[v._id] = v;
+    });
+    let neighbours = { in: [], out: [] };
+    this.edges.forEach((e) => {
+      if (e._to === id) {
+        neighbours.in.push({ edge: e, vertex: vertexMap[e._from] });
+      }
+      if (e._from === id) {
+        neighbours.out.push({ edge: e, vertex: vertexMap[e._to] });
+      }
+    });
+    return neighbours;
+  }
 }
+
+// 已注册的静态布局, 编辑器创建时读取, 之后注册的布局不会出现在工具栏和命令面板中
+Force.layouts = Object.assign({}, layouts);
+Force.registerLayout = function (name, layout) {
+  Force.layouts[name] = layout;
+};
+
 export default Force;
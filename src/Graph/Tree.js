@@ -1,2 +1,635 @@
-class Tree {}
+import * as d3 from 'd3';
+import Force from './Force';
+/**
+ * Tree: 树状图类, 根据边的方向 (_from -> _to) 将关系数据排布成自上而下的层级结构
+ *
+ * @extends
+ *   Force, 复用顶点和边的绘制、样式获取以及数据变更等方法, 仅替换布局和连线方式
+ *   BaseGraph 只包含容器、缩放和主题, 编辑器对两种图谱调用的是同一套接口
+ *   (canvas 渲染、细节层次、选择、拖拽、增删改顶点和边、操作记录 startRecord / applyPatch、快照等),
+ *   这些都实现在 Force 中, 所以继承 Force 而不是 BaseGraph, 树布局不使用力导向的 simulation
+ *
+ * @parameter
+ *   el [ HTMLElement | String ] 容器元素或者 ID
+ *   data [Object] 数据, 与 Force 相同 {vertexes, edges}
+ *   options [ Object ] 配置选项
+ *      // 父类
+ *      参考 Force
+ *      // 自身
+ *      mode [String] 布局模式, 默认 'single'
+ *        single: 以没有入边的顶点为根, 沿出边向下展开
+ *        bidirectional: 股权穿透图, 以 root 为中心, 股东 (入边) 向上展开, 对外投资 (出边) 向下展开
+ *      root [String] 根节点的 _id, 默认自动查找没有入边的顶点作为根节点,
+ *        bidirectional 模式下为中心顶点, 默认为关联边最多的顶点
+ *      layoutType [String] 布局方式, 'tree' 或 'cluster', 默认 'tree'
+ *      nodeSize [Array] 同层顶点之间的间距以及层与层之间的间距, 默认 [120, 150]
+ *      padding [Number] 第一层顶点距离画布顶部的距离, 默认 60
+ *      collapsible [Boolean] 是否可以折叠/展开子树, 默认 true
+ *      loadChildren [Function] 展开尚未加载子节点的顶点时调用, 接收顶点数据,
+ *        返回 Promise, resolve 的数据格式为 {vertexes, edges}, 默认 null
+ *      lod.cluster 始终为 0, 即不聚合
+ *
+ * @data
+ *   顶点数据中可以包含 childCount [Number], 表示子节点的总数,
+ *   子节点尚未加载时, 用于显示数量以及判断是否需要懒加载
+ *   bidirectional 模式下, parentCount [Number] 表示股东的总数, 作用同上
+ *   边数据中可以包含 percent [Number], 表示持股比例, 存在时作为边上的文字, 如 60 显示为 60%
+ *   固定 (pinned) 以及在树布局中拖拽移动过的顶点使用 rawData 中保存的位置, 其余顶点的位置由树布局计算,
+ *   计算出的位置不写入 rawData, 切换回其他布局时保留原有的位置
+ *
+ * @constructor
+ *   focus: bidirectional 模式下的中心顶点 _id
+ *   roots: 向下展开的所有根节点的 _id 数组
+ *   upRoots: 向上展开的根节点的 _id 数组, 只包含中心顶点
+ *   childrenMap: 每个顶点在向下的生成树中的子节点 {_id: [_id, ...]}
+ *   upChildrenMap: 每个顶点在向上的生成树中的子节点, 即股东 {_id: [_id, ...]}
+ *   parentMap: 每个顶点在生成树中的父节点 {_id: _id}
+ *   directionMap: 每个顶点所在生成树的方向 {_id: 'down' | 'up'}
+ *   hierarchy: 向下的 d3.hierarchy 层级数据, 根为一个不参与绘制的虚拟节点
+ *   upHierarchy: 向上的 d3.hierarchy 层级数据, 同上
+ *   collapsed: 被折叠的顶点 {down: {_id: true}, up: {_id: true}}
+ *   hiddenMap: 由于祖先被折叠而隐藏的顶点 {_id: true}
+ *   movedMap: 在树布局中拖拽或者平移过的顶点 {_id: true}
+ *
+ * @methods
+ *   layout(): 计算树布局, 将位置写入顶点数据的 x, y 中, 固定以及移动过的顶点使用 rawData 中的位置
+ *   hasStoredPosition(v): 顶点是否使用 rawData 中保存的位置
+ *   syncPositions(): 复写, 只将固定以及移动过的顶点的位置写入 rawData
+ *   findRoots(): 查找根节点, 返回 _id 数组
+ *   findFocus(): 查找 bidirectional 模式下的中心顶点, 返回 _id
+ *   buildTrees(): 从根节点开始广度遍历, 构建向下和向上的生成树
+ *   createHierarchy(roots, direction): 根据生成树和折叠状态创建 d3.hierarchy
+ *   getVertexBottom(d): 顶点中心到名称底部的距离, 用于计算连线的起点
+ *   getDirection(d): 顶点所在生成树的方向
+ *   getChildCount(d, direction): 子节点数量, 需要返回数字
+ *   getBadgeColor(d): 子节点数量徽标的颜色, 需要返回颜色字符串
+ *   getEdgeLabel(d): 边上的文字, 存在 percent 时显示持股比例
+ *   以下 direction 默认为顶点所在生成树的方向, 中心顶点的股东一侧需要传入 'up'
+ *   isCollapsed(d, direction): 顶点是否处于折叠状态
+ *   collapse(id, direction): 折叠某个顶点的子树
+ *   expand(id, cb, direction): 展开某个顶点的子树, 子节点未加载时调用 loadChildren(vertex, direction), 返回 Promise
+ *   toggle(id, cb, direction): 切换折叠状态
+ *   getVisibleVertexes(): 复写, 不包含由于折叠而隐藏的顶点
+ *   loadEnd(cache): 复写, 懒加载的数据合并之后触发
+ *   loadError(err, vertex, direction): 复写, 点击徽标触发的懒加载失败时触发
+ *
+ * create by destiny on 2020-04-16
+ */
+class Tree extends Force {
+  constructor(el, data, options) {
+    let defaultOptions = {
+      mode: 'single',
+      root: null,
+      layoutType: 'tree',
+      nodeSize: [120, 150],
+      padding: 60,
+      collapsible: true,
+      loadChildren: null,
+    };
+    // 折叠徽标以及隐藏子树依赖 SVG 元素, 只支持 SVG 渲染
+    options = Object.assign({}, defaultOptions, options, { renderer: 'svg' });
+    // 隐藏的子树不参与聚合, 因此不支持细节层次中的聚合
+    options.lod = Object.assign({}, options.lod, { cluster: 0 });
+    super(el, data, options);
+
+    // 折叠状态只属于视图, 不写入数据中
+    this.collapsed = { down: {}, up: {} };
+    this.hiddenMap = {};
+    this.loadingMap = {};
+    this.movedMap = {};
+  }
+  /* 数据处理 */
+  layout() {
+    const { layoutType, nodeSize, padding, width } = this.options;
+
+    // 与 forceLink 处理后的数据保持一致, source 和 target 指向顶点数据
+    this.vertexMap = {};
+    this.vertexes.forEach((v) => {
+      this.vertexMap[v._id] = v;
+    });
+    this.edges.forEach((e) => {
+      e.source = this.vertexMap[e._from];
+      e.target = this.vertexMap[e._to];
+    });
+
+    this.buildTrees();
+    const treeLayout = layoutType === 'cluster' ? d3.cluster() : d3.tree();
+    treeLayout.nodeSize(nodeSize);
+    this.hierarchy = treeLayout(this.createHierarchy(this.roots, 'down'));
+    this.upHierarchy =
+      this.upRoots.length > 0 ? treeLayout(this.createHierarchy(this.upRoots, 'up')) : null;
+
+    // 虚拟根节点不参与绘制, 其余顶点整体水平居中, 按层级向下排布
+    // 向上的生成树中, 中心顶点已经在向下的生成树中绘制
+    const nodes = this.hierarchy.descendants().filter((node) => node.depth > 0);
+    const upNodes = this.upHierarchy
+      ? this.upHierarchy.descendants().filter((node) => node.depth > 1)
+      : [];
+    const top = padding + (this.upHierarchy ? this.upHierarchy.height - 1 : 0) * nodeSize[1];
+    const [minX, maxX] = d3.extent(nodes, (node) => node.x);
+    const offsetX = width / 2 - (minX + maxX) / 2;
+    nodes.forEach((node) => {
+      node.data.x = node.x + offsetX;
+      node.data.y = (node.depth - 1) * nodeSize[1] + top;
+    });
+    if (this.upHierarchy) {
+      // 与向下的生成树中的中心顶点对齐
+      const focus = this.upHierarchy.children[0];
+      const upOffsetX = focus.data.x - focus.x;
+      upNodes.forEach((node) => {
+        node.data.x = node.x + upOffsetX;
+        node.data.y = top - (node.depth - 1) * nodeSize[1];
+      });
+    }
+
+    // 固定以及移动过的顶点保持保存的位置
+    let rawMap = {};
+    this.rawData.vertexes.forEach((item) => {
+      rawMap[item._id] = item;
+    });
+    this.vertexes.forEach((v) => {
+      let item = rawMap[v._id];
+      if (item && this.hasStoredPosition(v) && typeof item.x === 'number') {
+        v.x = item.x;
+        v.y = item.y;
+      }
+    });
+
+    // 被折叠隐藏的顶点收拢到最近的可见祖先处, 作为展开动画的起点
+    let visibleMap = {};
+    nodes.concat(upNodes).forEach((node) => {
+      visibleMap[node.data._id] = true;
+    });
+    this.hiddenMap = {};
+    this.vertexes.forEach((v) => {
+      if (visibleMap[v._id]) return;
+      this.hiddenMap[v._id] = true;
+      let ancestor = this.parentMap[v._id];
+      while (!visibleMap[ancestor]) {
+        ancestor = this.parentMap[ancestor];
+      }
+      v.x = this.vertexMap[ancestor].x;
+      v.y = this.vertexMap[ancestor].y;
+    });
+
+    return this;
+  }
+  hasStoredPosition(v) {
+    return !!v.pinned || !!this.movedMap[v._id];
+  }
+  syncPositions() {
+    let vertexMap = {};
+    this.vertexes.forEach((v) => {
+      vertexMap[v._id] = v;
+    });
+    this.rawData.vertexes.forEach((item) => {
+      let v = vertexMap[item._id];
+      // 隐藏的顶点位于祖先处, 不是真实的位置
+      if (!v || typeof v.x !== 'number' || this.hiddenMap[v._id]) return;
+      if (!this.hasStoredPosition(v)) return;
+      item.x = Math.round(v.x * 100) / 100;
+      item.y = Math.round(v.y * 100) / 100;
+    });
+    return this;
+  }
+  isBidirectional() {
+    return this.options.mode === 'bidirectional';
+  }
+  findRoots() {
+    let inDegree = {};
+    this.vertexes.forEach((v) => {
+      inDegree[v._id] = 0;
+    });
+    this.edges.forEach((e) => {
+      if (e._from !== e._to) inDegree[e._to]++;
+    });
+
+    let roots = this.vertexes.filter((v) => inDegree[v._id] === 0).map((v) => v._id);
+
+    // 指定的根节点优先
+    let { root } = this.options;
+    if (root && inDegree[root] !== undefined) {
+      roots = [root].concat(roots.filter((id) => id !== root));
+    }
+    return roots;
+  }
+  findFocus() {
+    let { root } = this.options;
+    if (root && this.vertexMap[root]) return root;
+
+    // 没有指定时, 选择关联边最多的顶点
+    let degree = {};
+    this.edges.forEach((e) => {
+      degree[e._from] = (degree[e._from] || 0) + 1;
+      degree[e._to] = (degree[e._to] || 0) + 1;
+    });
+    let focus = null;
+    this.vertexes.forEach((v) => {
+      if (focus === null || (degree[v._id] || 0) > (degree[focus] || 0)) {
+        focus = v._id;
+      }
+    });
+    return focus;
+  }
+  buildTrees() {
+    let visited = {};
+    let adjacency = { down: {}, up: {} };
+    this.focus = null;
+    this.roots = [];
+    this.upRoots = [];
+    this.childrenMap = {};
+    this.upChildrenMap = {};
+    this.parentMap = {};
+    this.directionMap = {};
+
+    this.edges.forEach((e) => {
+      adjacency.down[e._from] = adjacency.down[e._from] || [];
+      adjacency.down[e._from].push(e._to);
+      adjacency.up[e._to] = adjacency.up[e._to] || [];
+      adjacency.up[e._to].push(e._from);
+    });
+
+    // 广度遍历, 每个顶点只挂在第一次访问到它的父节点下
+    const walk = (id, direction) => {
+      let childrenMap = this.getChildrenMap(direction);
+      let queue = [id];
+      visited[id] = true;
+      (direction === 'up' ? this.upRoots : this.roots).push(id);
+      this.directionMap[id] = this.directionMap[id] || direction;
+      while (queue.length > 0) {
+        let cur = queue.shift();
+        childrenMap[cur] = [];
+        (adjacency[direction][cur] || []).forEach((to) => {
+          if (visited[to]) return;
+          visited[to] = true;
+          childrenMap[cur].push(to);
+          this.parentMap[to] = cur;
+          this.directionMap[to] = direction;
+          queue.push(to);
+        });
+      }
+    };
+
+    // 中心顶点同时是向下和向上两棵生成树的根
+    if (this.isBidirectional()) {
+      this.focus = this.findFocus();
+      if (this.focus !== null) {
+        walk(this.focus, 'down');
+        walk(this.focus, 'up');
+      }
+    }
+    this.findRoots().forEach((id) => {
+      if (!visited[id]) walk(id, 'down');
+    });
+
+    // 环上的顶点没有入度为 0 的祖先, 选出度最大的顶点作为新的根
+    let rest = this.vertexes.filter((v) => !visited[v._id]);
+    while (rest.length > 0) {
+      let next = rest.reduce((a, b) =>
+        (adjacency.down[b._id] || []).length > (adjacency.down[a._id] || []).length ? b : a
+      );
+      walk(next._id, 'down');
+      rest = rest.filter((v) => !visited[v._id]);
+    }
+
+    return this;
+  }
+  createHierarchy(roots, direction) {
+    let collapsed = this.collapsed[direction];
+    let childrenMap = this.getChildrenMap(direction);
+    return d3.hierarchy({ _id: null }, (d) => {
+      if (collapsed[d._id]) return [];
+      let ids = d._id === null ? roots : childrenMap[d._id] || [];
+      return ids.map((id) => this.vertexMap[id]);
+    });
+  }
+  getChildrenMap(direction) {
+    return direction === 'up' ? this.upChildrenMap : this.childrenMap;
+  }
+  // 合并懒加载的数据, 已存在的顶点和边不会重复添加
+  mergeData(data, cb) {
+    let { vertexes = [], edges = [] } = data || {};
+    this.checkData({ vertexes, edges });
+
+    let state = this.getLayoutState();
+    this.startRecord();
+    vertexes.forEach((v) => {
+      if (this.idMap.includes(v._id)) return;
+      this.changeRawData('add-vertexes', this.rawData, v);
+      this.changeRawData('add-vertexes', this.data, v);
+    });
+    edges.forEach((e) => {
+      if (this.idMap.includes(e._id)) return;
+      this.changeRawData('add-edges', this.rawData, e);
+      this.changeRawData('add-edges', this.data, e);
+    });
+    let cache = this.endRecord();
+    this.update();
+    this.animateFrom(state);
+
+    cb && cb(cache);
+  }
+
+  /* 绘制图谱 */
+  draw() {
+    super.draw();
+    // 布局是同步计算的, 绘制完成后直接移动到对应位置
+    this.onTick();
+    this.setVisibility((id) => this.hiddenMap[id]);
+    this.syncPositions();
+    this.renderEnd();
+    return this;
+  }
+  drawVertex(vertexGroup) {
+    super.drawVertex(vertexGroup);
+
+    // 子节点数量徽标, 点击折叠/展开子树, 股东一侧的徽标位于顶点上方
+    ['down', 'up'].forEach((direction) => {
+      const badge = vertexGroup
+        .append('g')
+        .attr('class', `badge badge-${direction}`)
+        .style('cursor', 'pointer');
+      badge.append('circle').classed('badge-circle', true).attr('r', 8);
+      badge
+        .append('text')
+        .classed('badge-text', true)
+        .style('text-anchor', 'middle')
+        .style('dominant-baseline', 'central')
+        .style('user-select', 'none');
+      badge
+        .on('mousedown', () => {
+          // 防止触发拖拽
+          d3.event.stopPropagation();
+        })
+        .on('click', (d) => {
+          d3.event.stopPropagation();
+          Promise.resolve(this.toggle(d._id, this.loadEnd.bind(this), direction)).catch((err) => {
+            this.loadError(err, d, direction);
+          });
+        });
+    });
+  }
+  setVertexAttr() {
+    super.setVertexAttr();
+    this.setBadgeAttr();
+  }
+  setBadgeAttr() {
+    ['down', 'up'].forEach((direction) => {
+      this.chartGroup.selectAll('.badge-' + direction).each((d, i, g) => {
+        const badge = d3.select(g[i]);
+        const count = this.getChildCount(d, direction);
+        const show =
+          this.options.collapsible &&
+          count > 0 &&
+          (this.getDirection(d) === direction || d._id === this.focus);
+        const y = direction === 'up' ? -this.getRadius(d) - 8 : this.getVertexBottom(d) + 8;
+        badge.style('display', show ? null : 'none').attr('transform', `translate(0, ${y})`);
+        badge
+          .select('.badge-text')
+          .text(this.isCollapsed(d, direction) ? count : '-')
+          .style('font-size', this.options.vertexFontSize);
+      });
+    });
+  }
+  setVertexStyle() {
+    super.setVertexStyle();
+
+    // 折叠时实心, 展开时空心
+    ['down', 'up'].forEach((direction) => {
+      const badge = this.chartGroup.selectAll('.badge-' + direction);
+      badge
+        .select('.badge-circle')
+        .attr('fill', (d) =>
+          this.isCollapsed(d, direction) ? this.getBadgeColor(d) : this.getBgColor()
+        )
+        .attr('stroke', (d) => this.getBadgeColor(d));
+      badge
+        .select('.badge-text')
+        .style('fill', (d) =>
+          this.isCollapsed(d, direction) ? this.getBgColor() : this.getBadgeColor(d)
+        );
+    });
+
+    return this;
+  }
+  // 隐藏被折叠的顶点以及与之相连的边
+  setVisibility(isHidden) {
+    this.chartGroup
+      .selectAll('.vertex-group')
+      .style('display', (d) => (isHidden(d._id) ? 'none' : null));
+    this.chartGroup
+      .selectAll('.edge')
+      .style('display', (d) => (isHidden(d._from) || isHidden(d._to) ? 'none' : null));
+  }
+  tickEdges() {
+    this.chartGroup.selectAll('.edge-path').attr('d', (d) => {
+      // 自己指向自己
+      if (d.source._id === d.target._id) {
+        return this.calcSelfPath(d);
+      }
+
+      const { sx, sy, tx, ty } = this.calcPath(d);
+      const my = (sy + ty) / 2;
+      let path, reversePath;
+      if (this.isBidirectional()) {
+        // 使用折线, 反向路径用于放置水平的文字, 位于下层端点的右上方
+        const [lx, ly] = sy <= ty ? [tx, ty] : [sx, sy];
+        path = `M${sx},${sy} V${my} H${tx} V${ty}`;
+        reversePath = `M${lx + 10},${ly - 12} H${lx + 70}`;
+      } else {
+        path = `M${sx},${sy} C${sx},${my} ${tx},${my} ${tx},${ty}`;
+        reversePath = `M${tx},${ty} C${tx},${my} ${sx},${my} ${sx},${sy}`;
+      }
+      // 调整反向路径
+      this.chartGroup.select('#path_reverse_' + d._id).attr('d', reversePath);
+
+      return path;
+    });
+  }
+  tickEdgeLabels() {
+    if (!this.isBidirectional()) {
+      super.tickEdgeLabels();
+      return;
+    }
+    this.chartGroup
+      .selectAll('.edge-label textPath')
+      .attr('xlink:href', (d) => '#path_reverse_' + d._id);
+    this.chartGroup.selectAll('.edge-label').attr('transform', null);
+  }
+  calcPath(d) {
+    let { x: sx, y: sy } = d.source;
+    let { x: tx, y: ty } = d.target;
+
+    // 从上层顶点的名称下方连出, 连入下层顶点的顶部
+    if (sy <= ty) {
+      sy += this.getVertexBottom(d.source);
+      ty -= this.getRadius(d.target);
+    } else {
+      sy -= this.getRadius(d.source);
+      ty += this.getVertexBottom(d.target);
+    }
+
+    return { sx, sy, tx, ty };
+  }
+  getVertexBottom(d) {
+    let textStack = d.name ? this.getTextStack(d) || [] : [];
+    let last = textStack[textStack.length - 1];
+    return last ? last.dy + 4 : this.getRadius(d);
+  }
+  getDirection(d) {
+    return this.directionMap[d._id] || 'down';
+  }
+  getChildCount(d, direction = this.getDirection(d)) {
+    let loaded = (this.getChildrenMap(direction)[d._id] || []).length;
+    let total = direction === 'up' ? d.parentCount : d.childCount;
+    return Math.max(loaded, total || 0);
+  }
+  getBadgeColor(d) {
+    return '#4FA2F1';
+  }
+  getEdgeLabel(d) {
+    if (typeof d.percent === 'number') {
+      return `${d.percent}%`;
+    }
+    return super.getEdgeLabel(d);
+  }
+
+  /* 事件 */
+  // 没有力仿真器, 拖拽时直接修改位置
+  onDragStart(d) {
+    this.dragMoved = false;
+    this.dragGroup = this.getDragGroup(d);
+    this.dragPositions = this.getPositions([d].concat(this.dragGroup.map(({ vertex }) => vertex)));
+  }
+  moveVertexes(ids, dx, dy, cb) {
+    ids.forEach((id) => {
+      if (this.vertexMap[id]) this.movedMap[id] = true;
+    });
+    return super.moveVertexes(ids, dx, dy, cb);
+  }
+  // 树布局中不能修改固定状态, 已经固定的顶点保持保存的位置
+  isPinned(d) {
+    return false;
+  }
+  pin(filter) {
+    return this;
+  }
+  reheat() {
+    return this;
+  }
+  getVisibleVertexes() {
+    return this.vertexes.filter((v) => !this.hiddenMap[v._id]);
+  }
+  onDrag(d) {
+    d.x = d3.event.x;
+    d.y = d3.event.y;
+    this.dragGroup.forEach(({ vertex, dx, dy }) => {
+      vertex.x = d.x + dx;
+      vertex.y = d.y + dy;
+    });
+    this.dragMoved = true;
+    this.onTick();
+  }
+  onDragEnd(d) {
+    if (this.dragMoved) {
+      [d].concat(this.dragGroup.map(({ vertex }) => vertex)).forEach((v) => {
+        this.movedMap[v._id] = true;
+      });
+    }
+    this.syncPositions();
+    if (this.dragMoved && this.dragGroup.length > 0) {
+      this.moveEnd(this.startRecord().recordPositions(this.dragPositions).endRecord());
+    }
+    this.dragGroup = [];
+  }
+  loadEnd(cache) {
+    // 复写, 懒加载的数据合并之后触发
+  }
+  loadError(err, vertex, direction) {
+    // 复写, 懒加载失败时触发, 顶点保持折叠状态, 可以再次点击重试
+  }
+
+  /* 折叠和展开 */
+  isCollapsed(d, direction = this.getDirection(d)) {
+    if (this.collapsed[direction][d._id]) return true;
+    // 子节点尚未加载
+    return (
+      (this.getChildrenMap(direction)[d._id] || []).length === 0 &&
+      this.getChildCount(d, direction) > 0
+    );
+  }
+  collapse(id, direction) {
+    let vertex = this.vertexMap[id];
+    if (!vertex) return;
+    direction = direction || this.getDirection(vertex);
+    if (this.collapsed[direction][id]) return;
+
+    let state = this.getLayoutState();
+    this.collapsed[direction][id] = true;
+    this.update();
+    this.animateFrom(state);
+  }
+  expand(id, cb, direction) {
+    let vertex = this.vertexMap[id];
+    if (!vertex) return Promise.resolve();
+    direction = direction || this.getDirection(vertex);
+
+    let { loadChildren } = this.options;
+    let collapsed = this.collapsed[direction];
+    let loaded = (this.getChildrenMap(direction)[id] || []).length > 0;
+    if (!loaded && loadChildren && this.getChildCount(vertex, direction) > 0) {
+      let key = direction + '-' + id;
+      if (this.loadingMap[key]) return this.loadingMap[key];
+
+      this.loadingMap[key] = Promise.resolve(loadChildren(this.getVertexById(id), direction))
+        .then((data) => {
+          delete this.loadingMap[key];
+          delete collapsed[id];
+          this.mergeData(data, cb);
+        })
+        .catch((err) => {
+          delete this.loadingMap[key];
+          throw err;
+        });
+      return this.loadingMap[key];
+    }
+
+    if (collapsed[id]) {
+      let state = this.getLayoutState();
+      delete collapsed[id];
+      this.update();
+      this.animateFrom(state);
+    }
+    return Promise.resolve();
+  }
+  toggle(id, cb, direction) {
+    let vertex = this.vertexMap[id];
+    if (!vertex) return;
+    direction = direction || this.getDirection(vertex);
+    return this.isCollapsed(vertex, direction)
+      ? this.expand(id, cb, direction)
+      : this.collapse(id, direction);
+  }
+  // 记录当前的位置和可见状态, 作为动画的起点
+  getLayoutState() {
+    let state = super.getLayoutState();
+    state.hiddenMap = Object.assign({}, this.hiddenMap);
+    return state;
+  }
+  // 新加载的顶点从父节点的位置展开
+  getStartPosition(v, positions) {
+    return positions[v._id] || positions[this.parentMap[v._id]] || v;
+  }
+  // 从之前的状态过渡到当前布局
+  animateFrom(state) {
+    let { positions, hiddenMap = {} } = state;
+
+    // 动画过程中, 变化前后任意一个时刻可见的顶点都需要显示
+    this.setVisibility((id) => this.hiddenMap[id] && (hiddenMap[id] || !positions[id]));
+
+    return super.animateFrom(state).on('end', () => {
+      this.setVisibility((id) => this.hiddenMap[id]);
+    });
+  }
+}
 export default Tree;
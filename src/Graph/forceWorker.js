@@ -0,0 +1,92 @@
+/**
+ * forceWorker: 在 Web Worker 中运行力仿真, 避免大图布局时阻塞主线程
+ *
+ * 通信格式
+ *   主线程 -> worker: {nodes, links, options}
+ *     nodes [Array] 顶点 {_id, x, y, fx, fy}
+ *     links [Array] 边 {source, target}, 使用顶点的 _id
+ *     options [Object] distance, chargeStrength, alphaDecay, width, height, staticTicks, batchTicks,
+ *       alpha 仿真的初始值, 拖拽之后继续计算时小于 1
+ *   worker -> 主线程: {type, positions, alpha}
+ *     type [String] 'tick' 表示中间结果, 'end' 表示仿真结束
+ *     alpha [Number] 仿真当前的 alpha
+ *     positions [Float64Array] 按照 nodes 的顺序排列的 [x0, y0, x1, y1, ...]
+ *
+ * create by destiny on 2020-04-19
+ */
+
+// worker 中执行的代码, 会被转换为字符串, 因此不能引用外部的变量, d3 由 importScripts 引入
+function workerMain() {
+  self.onmessage = function (e) {
+    const { nodes, links, options } = e.data;
+    const { distance, chargeStrength, alphaDecay, width, height, staticTicks, batchTicks } = options;
+    const { alpha } = options;
+
+    const simulation = d3
+      .forceSimulation(nodes)
+      .alpha(alpha)
+      .alphaDecay(alphaDecay)
+      .force(
+        'links',
+        d3
+          .forceLink(links)
+          .distance(distance)
+          .id((d) => d._id)
+      )
+      .force('charge_force', d3.forceManyBody().strength(chargeStrength))
+      .force('center_force', d3.forceCenter(width / 2, height / 2))
+      .stop();
+
+    const post = (type) => {
+      const positions = new Float64Array(nodes.length * 2);
+      nodes.forEach((n, i) => {
+        positions[i * 2] = n.x;
+        positions[i * 2 + 1] = n.y;
+      });
+      self.postMessage({ type, positions, alpha: simulation.alpha() }, [positions.buffer]);
+    };
+
+    // 预先计算 staticTicks 次, 只返回最终结果
+    if (staticTicks > 0) {
+      simulation.tick(staticTicks);
+      post('end');
+      return;
+    }
+
+    // 每计算 batchTicks 次返回一次中间结果
+    const isEnd = () => simulation.alpha() < simulation.alphaMin();
+    const step = () => {
+      for (let i = 0; i < batchTicks && !isEnd(); i++) {
+        simulation.tick();
+      }
+      if (isEnd()) {
+        post('end');
+      } else {
+        post('tick');
+        setTimeout(step, 0);
+      }
+    };
+    step();
+  };
+}
+
+// 同一个 d3 地址生成的脚本只创建一次
+let scriptUrls = {};
+
+/**
+ * createForceWorker: 创建运行力仿真的 worker
+ *
+ * @parameter
+ *   d3Url [String] worker 中引入的 d3 脚本地址, 相对地址基于当前页面
+ *
+ * @return
+ *   [Worker]
+ */
+export function createForceWorker(d3Url) {
+  const src = new URL(d3Url, location.href).href;
+  if (!scriptUrls[src]) {
+    const script = `importScripts(${JSON.stringify(src)});\n(${workerMain.toString()})();`;
+    scriptUrls[src] = URL.createObjectURL(new Blob([script], { type: 'application/javascript' }));
+  }
+  return new Worker(scriptUrls[src]);
+}
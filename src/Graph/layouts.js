@@ -0,0 +1,235 @@
+/**
+ * layouts: Force 可选的静态布局算法
+ *
+ * 每个布局都是一个函数 layout(vertexes, edges, options), 直接将位置写入顶点数据的 x, y 中
+ *   vertexes [Array] 顶点数据
+ *   edges [Array] 边数据, 使用 _from 和 _to 表示方向
+ *   options [Object] Force 的配置对象, 使用其中的 width, height, distance 等
+ *
+ * 通过 Force.registerLayout(name, layout) 可以注册自定义的布局, 需要在创建 GraphEditor 之前注册
+ *
+ * create by destiny on 2020-04-18
+ */
+
+// 无向的邻接表
+function getNeighbors(vertexes, edges) {
+  let neighbors = {};
+  vertexes.forEach((v) => {
+    neighbors[v._id] = [];
+  });
+  edges.forEach((e) => {
+    if (e._from === e._to || !neighbors[e._from] || !neighbors[e._to]) return;
+    neighbors[e._from].push(e._to);
+    neighbors[e._to].push(e._from);
+  });
+  return neighbors;
+}
+
+// 按照广度遍历的顺序排列顶点, 使相连的顶点尽量相邻
+function bfsOrder(vertexes, edges) {
+  let neighbors = getNeighbors(vertexes, edges);
+  let vertexMap = {};
+  let visited = {};
+  let result = [];
+  vertexes.forEach((v) => {
+    vertexMap[v._id] = v;
+  });
+  vertexes.forEach((v) => {
+    if (visited[v._id]) return;
+    let queue = [v._id];
+    visited[v._id] = true;
+    while (queue.length > 0) {
+      let id = queue.shift();
+      result.push(vertexMap[id]);
+      neighbors[id].forEach((n) => {
+        if (visited[n]) return;
+        visited[n] = true;
+        queue.push(n);
+      });
+    }
+  });
+  return result;
+}
+
+/**
+ * circular: 环形布局, 所有顶点按照广度遍历的顺序均匀分布在一个圆上
+ */
+export function circular(vertexes, edges, options) {
+  const { width, height, r } = options;
+  const n = vertexes.length;
+  // 半径至少要保证相邻顶点之间不重叠
+  const radius = Math.max(Math.min(width, height) / 2 - r * 3, (n * r * 3) / (2 * Math.PI));
+
+  bfsOrder(vertexes, edges).forEach((v, i) => {
+    const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+    v.x = width / 2 + (n > 1 ? radius * Math.cos(angle) : 0);
+    v.y = height / 2 + (n > 1 ? radius * Math.sin(angle) : 0);
+  });
+}
+
+/**
+ * grid: 网格布局, 按照广度遍历的顺序逐行排列, 行列数量与画布的宽高比例一致
+ */
+export function grid(vertexes, edges, options) {
+  const { width, height, distance } = options;
+  const n = vertexes.length;
+  const cols = Math.max(1, Math.ceil(Math.sqrt((n * width) / height)));
+  const rows = Math.ceil(n / cols);
+
+  bfsOrder(vertexes, edges).forEach((v, i) => {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+    v.x = width / 2 + (col - (cols - 1) / 2) * distance;
+    v.y = height / 2 + (row - (rows - 1) / 2) * distance;
+  });
+}
+
+/**
+ * concentric: 同心圆布局, 度数越大的顶点越靠近圆心
+ * 度数按照最大度数的 1/4 进行分层, 每一层的半径至少要放得下该层所有顶点
+ */
+export function concentric(vertexes, edges, options) {
+  const { width, height, r, distance } = options;
+  const neighbors = getNeighbors(vertexes, edges);
+  const degree = (v) => neighbors[v._id].length;
+  const maxDegree = vertexes.reduce((max, v) => Math.max(max, degree(v)), 0);
+  const levelWidth = Math.max(1, maxDegree / 4);
+
+  let levels = [];
+  vertexes
+    .slice()
+    .sort((a, b) => degree(b) - degree(a))
+    .forEach((v) => {
+      const level = Math.floor((maxDegree - degree(v)) / levelWidth);
+      levels[level] = levels[level] || [];
+      levels[level].push(v);
+    });
+
+  let radius = 0;
+  levels
+    .filter((level) => level)
+    .forEach((level, i) => {
+      // 只有一个顶点的最内层放在圆心
+      if (i > 0 || level.length > 1) {
+        radius = Math.max(radius + distance, (level.length * r * 3) / (2 * Math.PI));
+      }
+      level.forEach((v, j) => {
+        const angle = (2 * Math.PI * j) / level.length - Math.PI / 2;
+        v.x = width / 2 + radius * Math.cos(angle);
+        v.y = height / 2 + radius * Math.sin(angle);
+      });
+    });
+}
+
+/**
+ * dag: 分层布局 (简化的 Sugiyama 算法), 边的方向始终从上往下 (_from -> _to)
+ *   1. 深度遍历去掉构成环的反向边
+ *   2. 最长路径分层, 没有入边的顶点位于第一层
+ *   3. 重心法多次上下扫描, 减少边的交叉
+ *   4. 每一层水平居中排列
+ */
+export function dag(vertexes, edges, options) {
+  const { width, height, distance } = options;
+  let vertexMap = {};
+  let succs = {};
+  let preds = {};
+  vertexes.forEach((v) => {
+    vertexMap[v._id] = v;
+    succs[v._id] = [];
+    preds[v._id] = [];
+  });
+
+  // 1. 去环: 深度遍历中指向栈上顶点的边是反向边, 不参与分层
+  let state = {}; // 1: 在栈上, 2: 已完成
+  let order = [];
+  let adjacency = {};
+  let inDegree = {};
+  vertexes.forEach((v) => {
+    adjacency[v._id] = [];
+    inDegree[v._id] = 0;
+  });
+  edges.forEach((e) => {
+    if (e._from !== e._to && vertexMap[e._from] && vertexMap[e._to]) {
+      adjacency[e._from].push(e._to);
+      inDegree[e._to]++;
+    }
+  });
+  const visit = (root) => {
+    // 使用显式栈, 防止长链导致调用栈溢出
+    let stack = [{ id: root, index: 0 }];
+    state[root] = 1;
+    while (stack.length > 0) {
+      let top = stack[stack.length - 1];
+      let next = adjacency[top.id][top.index++];
+      if (next === undefined) {
+        state[top.id] = 2;
+        order.push(top.id);
+        stack.pop();
+      } else if (state[next] === 1) {
+        continue;
+      } else {
+        succs[top.id].push(next);
+        preds[next].push(top.id);
+        if (!state[next]) {
+          state[next] = 1;
+          stack.push({ id: next, index: 0 });
+        }
+      }
+    }
+  };
+  vertexes.forEach((v) => {
+    if (inDegree[v._id] === 0 && !state[v._id]) visit(v._id);
+  });
+  vertexes.forEach((v) => {
+    if (!state[v._id]) visit(v._id);
+  });
+
+  // 2. 最长路径分层, 按照拓扑序 (深度遍历完成顺序的逆序) 计算
+  let layerMap = {};
+  let layers = [];
+  order.reverse().forEach((id) => {
+    let layer = 0;
+    preds[id].forEach((p) => {
+      layer = Math.max(layer, layerMap[p] + 1);
+    });
+    layerMap[id] = layer;
+    layers[layer] = layers[layer] || [];
+    layers[layer].push(id);
+  });
+
+  // 3. 重心法排序, 依次参考上一层和下一层的位置
+  let position = {};
+  const indexLayer = (layer) => {
+    layer.forEach((id, i) => {
+      position[id] = i;
+    });
+  };
+  const sortLayer = (layer, related) => {
+    let barycenter = {};
+    layer.forEach((id) => {
+      let ids = related[id];
+      barycenter[id] = ids.length
+        ? ids.reduce((sum, n) => sum + position[n], 0) / ids.length
+        : position[id];
+    });
+    layer.sort((a, b) => barycenter[a] - barycenter[b]);
+    indexLayer(layer);
+  };
+  layers.forEach(indexLayer);
+  for (let i = 0; i < 4; i++) {
+    layers.slice(1).forEach((layer) => sortLayer(layer, preds));
+    layers
+      .slice(0, -1)
+      .reverse()
+      .forEach((layer) => sortLayer(layer, succs));
+  }
+
+  // 4. 计算坐标
+  layers.forEach((layer, i) => {
+    layer.forEach((id, j) => {
+      let v = vertexMap[id];
+      v.x = width / 2 + (j - (layer.length - 1) / 2) * distance;
+      v.y = height / 2 + (i - (layers.length - 1) / 2) * distance;
+    });
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Autosave: 自动保存的草稿存储, 优先使用 IndexedDB, 不支持或者打开失败时使用 localStorage
+ *
+ * @parameter
+ *   options [ Object ] 相关配置
+ *      id [String] 文档 id, 不同文档的草稿互不影响, 默认 'default'
+ *      interval [Number] 自动保存的间隔, 单位 ms, 默认 5000
+ *      storage [String] 'indexedDB' 或者 'localStorage', 默认 'indexedDB'
+ *      prefix [String] 存储的 key 的前缀, 默认 'graph-editor:'
+ *
+ * @constructor
+ *   options: 合并之后的配置
+ *   key: 草稿存储的 key, 为 prefix + id
+ *   db: 打开 IndexedDB 的 Promise, 只打开一次
+ *
+ * @methods
+ *   save(draft): 保存草稿, 返回 Promise
+ *   load(): 读取草稿, 返回 Promise, 没有草稿时 resolve null
+ *   remove(): 删除草稿, 返回 Promise
+ *
+ * 草稿的内容由编辑器决定, 需要是可以被 JSON 序列化的对象
+ *
+ * create by destiny on 2020-04-28
+ */
+const DB_NAME = 'graph-editor';
+const STORE_NAME = 'autosave';
+
+class Autosave {
+  constructor(options) {
+    let defalutOptions = {
+      id: 'default',
+      interval: 5000,
+      storage: 'indexedDB',
+      prefix: 'graph-editor:',
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.key = this.options.prefix + this.options.id;
+    this.db = null;
+  }
+  save(draft) {
+    return this.run(
+      'readwrite',
+      (store) => store.put(draft, this.key),
+      () => localStorage.setItem(this.key, JSON.stringify(draft))
+    );
+  }
+  load() {
+    return this.run(
+      'readonly',
+      (store) => store.get(this.key),
+      () => {
+        let value = localStorage.getItem(this.key);
+        return value ? JSON.parse(value) : null;
+      }
+    ).then((draft) => draft || null);
+  }
+  remove() {
+    return this.run(
+      'readwrite',
+      (store) => store.delete(this.key),
+      () => localStorage.removeItem(this.key)
+    );
+  }
+  useIndexedDB() {
+    return this.options.storage === 'indexedDB' && typeof indexedDB !== 'undefined';
+  }
+  openDB() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        let request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+  // 在 IndexedDB 中执行 request, 不可用时执行 fallback, 同步的异常同样转换为 reject
+  run(mode, request, fallback) {
+    if (!this.useIndexedDB()) {
+      return new Promise((resolve) => resolve(fallback()));
+    }
+    return this.openDB().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          let req = request(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        }),
+      () => {
+        // 隐私模式等情况下无法打开, 之后都使用 localStorage
+        this.options.storage = 'localStorage';
+        return fallback();
+      }
+    );
+  }
+}
+
+export default Autosave;
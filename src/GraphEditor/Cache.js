@@ -1,24 +1,57 @@
 /**
- * Cache: 缓存类
+ * Cache: 操作记录类, 每一项为一次操作的修改记录 patch, 参考 Force 中的 @history
+ *
+ * @parameter
+ *   options [ Object ] 相关配置
+ *      maxChanges [Number] 所有记录中修改的总条数上限, 超出时丢弃最早的记录, 默认 50000, 为 0 时不限制,
+ *        检查点保存了当时数据的快照, 所在的步骤被丢弃之后移动到 pinned 中, 不会因为超出上限被丢弃, 也不计入上限
  *
  * @constructor
- *   caches: 缓存空间 [ ... ]
- *   point: 当前位置指针表示第 n 个缓存，这里的 point 是索引 +1
+ *   caches: 记录空间 [ patch, ... ], patch 中额外保存 label 操作名称, time 时间戳, checkpoint 检查点名称,
+ *     snapshot 检查点的数据快照, 参考 Force.getSnapshot
+ *   point: 已经应用的记录数量, 撤销时取 caches[point - 1], 重做时取 caches[point]
+ *   size: 所有记录中修改的总条数
+ *   evicted: 超出上限被丢弃的记录数量
+ *   base: 第一条记录之前的状态 {time, checkpoint, snapshot}, 即第 0 步
+ *   pinned: 记录已经被丢弃的检查点 [{label, time, checkpoint, snapshot}], 按照时间排列, 第 -1 步为最近的一个
+ *   saved: 最后一次保存时所在步骤的记录, 通过引用判断当前是否与保存时相同, 清空之后为 null
  *
  * @function
- *   store(cache): 保存一个缓存
- *   next(): 获取下一个缓存
- *   prev(): 获取上一个缓存
- *   delete(index): 删除某个缓存，index 为索引 +1
- *   clear(): 清空缓存
+ *   store(cache): 保存一次操作, 没有修改时忽略
+ *   next(): 获取需要重做的记录, 应用 patch 本身
+ *   prev(): 获取需要撤销的记录, 应用 patch 的逆操作
+ *   canUndo(): 是否可以撤销
+ *   canRedo(): 是否可以重做
+ *   jump(index): 跳转到第 index 步, 返回需要应用的 {operation, cache}, operation 为 'undo' 或者 'redo',
+ *     中间的记录合并为一个 patch, 已经在这一步时返回 null,
+ *     index 小于 0 时为 pinned 中的检查点, 返回 {operation: 'restore', snapshot, checkpoint}, 不移动当前的步骤
+ *   setCheckpoint(index, name, snapshot): 为第 index 步设置检查点以及数据快照, name 为空时删除检查点
+ *   getSteps(): 获取所有的步骤 [{index, label, time, checkpoint}], 第 0 步为最早的状态, 第 n 步为 caches[n - 1],
+ *     pinned 中的检查点排在最前面, index 小于 0
+ *   getStep(): 当前步骤的记录, 第 0 步时为 base
+ *   markSaved(step): 记录保存时所在的步骤, 默认为当前步骤
+ *   isSaved(): 当前是否处于保存时的步骤, 保存时的步骤被丢弃或者清空之后总是返回 false, 直到下一次 markSaved
+ *   serialize(): 获取可以保存的记录 {caches, point, evicted, base, pinned}
+ *   restore(state): 恢复 serialize 保存的记录, 第 0 步视为保存时的步骤
+ *   clear(): 清空记录, 当前的数据不再对应保存时的步骤, 视为没有保存
  *
  * create by destiny on 2019-03-21
+ * update by destiny on 2020-04-27
  */
 class Cache {
-  constructor() {
+  constructor(options) {
+    let defalutOptions = {
+      maxChanges: 50000,
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
     this.caches = [];
-    this._source = null;
     this.point = 0;
+    this.size = 0;
+    this.evicted = 0;
+    this.base = { time: Date.now(), checkpoint: null };
+    this.pinned = [];
+    this.saved = this.base;
 
     Object.defineProperty(this, 'length', {
       get() {
@@ -28,57 +61,171 @@ class Cache {
     });
   }
 
-  init(cache) {
-    // 初始化 cache，清空 cache 并重置 source
-    this._source = cache;
-    this.clear();
-    this.store(cache);
-
-    return this;
-  }
-
-  getSource() {
-    return this._source;
-  }
-
   store(cache) {
+    if (!cache || cache.changes.length === 0) return this;
+
     // 指针位置不在最后，那么需要删除当前指针后面的其他缓存再进行添加
     if (this.point < this.caches.length) {
-      this.caches.splice(this.point);
+      this.caches.splice(this.point).forEach((item) => {
+        this.size -= item.changes.length;
+      });
     }
 
+    if (!cache.time) cache.time = Date.now();
     this.caches.push(cache);
     this.point++;
+    this.size += cache.changes.length;
 
-    // 性能优化，最大缓存操作不超过20次
-    if (this.caches.length > 20) {
-      this.caches.shift();
+    // 只保存修改的部分, 按照修改的条数限制占用的内存, 至少保留最近的一次操作
+    // 丢弃的记录成为第 0 步, 原来第 0 步的检查点通过快照保留在 pinned 中
+    const { maxChanges } = this.options;
+    while (maxChanges > 0 && this.size > maxChanges && this.caches.length > 1) {
+      let item = this.caches.shift();
+      this.size -= item.changes.length;
+      this.point--;
+      this.evicted++;
+      if (this.base.checkpoint && this.base.snapshot) {
+        this.pinned.push({
+          label: this.base.label || '',
+          time: this.base.time,
+          checkpoint: this.base.checkpoint,
+          snapshot: this.base.snapshot,
+        });
+      }
+      this.base = {
+        label: item.label || '',
+        time: item.time,
+        checkpoint: item.checkpoint || null,
+        snapshot: item.snapshot || null,
+      };
     }
 
     return this;
   }
 
-  // 一般不会存在删除某个缓存的问题
-  delete(index) {
-    // 从 1 开始
-    delete this.caches.splice(index - 1, 1);
-  }
-
   next() {
-    if (this.point >= this.caches.length) return;
+    if (!this.canRedo()) return;
     this.point++;
     return this.caches[this.point - 1];
   }
 
   prev() {
-    if (this.point <= 1) return;
+    if (!this.canUndo()) return;
     this.point--;
-    return this.caches[this.point - 1];
+    return this.caches[this.point];
+  }
+
+  canUndo() {
+    return this.point > 0;
+  }
+
+  canRedo() {
+    return this.point < this.caches.length;
+  }
+
+  jump(index) {
+    if (index < 0) {
+      let item = this.pinned[this.pinned.length + index];
+      if (!item) return null;
+      return { operation: 'restore', snapshot: item.snapshot, checkpoint: item.checkpoint };
+    }
+    if (index > this.caches.length || index === this.point) return null;
+    let operation = index < this.point ? 'undo' : 'redo';
+    let items =
+      operation === 'undo' ? this.caches.slice(index, this.point) : this.caches.slice(this.point, index);
+    this.point = index;
+
+    let changes = [];
+    items.forEach((item) => {
+      changes = changes.concat(item.changes);
+    });
+    return { operation, cache: { changes } };
+  }
+
+  setCheckpoint(index, name, snapshot) {
+    if (index < 0) {
+      // pinned 中的检查点只能删除
+      if (!name) this.pinned.splice(this.pinned.length + index, 1);
+      return this;
+    }
+    let step = index === 0 ? this.base : this.caches[index - 1];
+    if (step) {
+      step.checkpoint = name || null;
+      step.snapshot = (name && snapshot) || null;
+    }
+    return this;
+  }
+
+  getSteps() {
+    let pinned = this.pinned.map(({ label, time, checkpoint }, i) => ({
+      index: i - this.pinned.length,
+      label,
+      time,
+      checkpoint,
+    }));
+    let first = {
+      index: 0,
+      label: this.evicted ? '更早的操作' : '初始状态',
+      time: this.base.time,
+      checkpoint: this.base.checkpoint,
+    };
+    return pinned.concat(
+      first,
+      this.caches.map(({ label, time, checkpoint }, i) => ({
+        index: i + 1,
+        label: label || '',
+        time,
+        checkpoint: checkpoint || null,
+      }))
+    );
+  }
+
+  getStep() {
+    return this.point > 0 ? this.caches[this.point - 1] : this.base;
+  }
+
+  markSaved(step = this.getStep()) {
+    this.saved = step;
+    return this;
+  }
+
+  isSaved() {
+    return this.getStep() === this.saved;
+  }
+
+  serialize() {
+    return {
+      caches: this.caches,
+      point: this.point,
+      evicted: this.evicted,
+      base: this.base,
+      pinned: this.pinned,
+    };
+  }
+
+  restore(state) {
+    this.clear();
+    this.caches = state.caches || [];
+    this.point = Math.min(state.point || 0, this.caches.length);
+    this.evicted = state.evicted || 0;
+    this.base = Object.assign({}, this.base, state.base);
+    this.pinned = state.pinned || [];
+    // 第 0 步为打开编辑器时的数据, 视为已保存
+    this.saved = this.base;
+    this.caches.forEach((item) => {
+      this.size += item.changes.length;
+    });
+    return this;
   }
 
   clear() {
     this.caches = [];
     this.point = 0;
+    this.size = 0;
+    this.evicted = 0;
+    this.base = { time: Date.now(), checkpoint: null };
+    this.pinned = [];
+    this.saved = null;
     return this;
   }
 }
@@ -0,0 +1,187 @@
+/**
+ * Detail: 顶点和边的详情面板, 只读
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      labels [Object] 表单中没有的属性的显示名称 {key: content}
+ *      ignore [Array] 不显示的属性, 默认为位置和固定状态
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 面板元素
+ *   fields: 顶点和边的表单配置 {vertex, edge}, 用于属性的显示名称以及选项的显示内容
+ *   type: 当前显示的类型, 'vertex' 或者 'edge'
+ *   id: 当前显示的元素 id
+ *
+ * @methods
+ *   init(): 初始化详情面板
+ *   setFields(fields): 设置表单配置 {vertex, edge}, 格式与 createFormHTML 的配置相同
+ *   show(type, item, neighbours): 显示顶点或者边的详情
+ *     顶点的 neighbours 为 {in, out}, 参考 Force.getNeighbours, 边的 neighbours 为 {from, to} 两个顶点
+ *   hide(): 隐藏详情面板
+ *   isShow(): 是否正在显示
+ *   bindClickEvents(cb): 点击相邻顶点时调用 cb('locate.detail', id), 点击编辑时调用 cb('edit.detail', {type, id})
+ *
+ * create by destiny on 2020-04-26
+ */
+import { checkEl, escapeHTML } from '../utils';
+
+class Detail {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      labels: {
+        _id: 'ID',
+        _from: '起点',
+        _to: '终点',
+      },
+      ignore: ['x', 'y', 'pinned'],
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.fields = { vertex: [], edge: [] };
+    this.type = null;
+    this.id = null;
+  }
+
+  init() {
+    this.create();
+  }
+  create() {
+    let detail = document.createElement('div');
+    detail.classList.add('graph-detail');
+    this.el = detail;
+
+    detail.innerHTML = `
+      <h3 class="detail-title">
+        <i class="iconfont icon-info"></i> <span class="detail-name"></span>
+        <i class="detail-close" title="关闭">&times;</i>
+      </h3>
+      <div class="detail-content"></div>
+      <div class="footer">
+        <div class="btns">
+          <button type="button" class="btn btn-info detail-edit">编辑</button>
+        </div>
+      </div>`;
+    this.title = detail.querySelector('.detail-name');
+    this.content = detail.querySelector('.detail-content');
+
+    this.container.appendChild(detail);
+    return this;
+  }
+  setFields(fields) {
+    this.fields = Object.assign({ vertex: [], edge: [] }, fields);
+    return this;
+  }
+  bindClickEvents(cb) {
+    this.el.addEventListener('click', (e) => {
+      let el = e.target;
+      if (el.classList.contains('detail-link')) {
+        cb && cb('locate.detail', el.dataset.id);
+      } else if (el.classList.contains('detail-edit')) {
+        cb && cb('edit.detail', { type: this.type, id: this.id });
+      } else if (el.classList.contains('detail-close')) {
+        this.hide();
+      }
+    });
+  }
+  show(type, item, neighbours) {
+    this.type = type;
+    this.id = item._id;
+    this.title.textContent = type === 'vertex' ? '节点详情' : '边详情';
+
+    let html = this.renderProperties(type, item);
+    if (type === 'vertex') {
+      let degree = neighbours.in.length + neighbours.out.length;
+      html += `<div class="detail-section">
+          <h4>度: ${degree} (入 ${neighbours.in.length} / 出 ${neighbours.out.length})</h4>
+        </div>`;
+      html += this.renderNeighbours('入边', neighbours.in);
+      html += this.renderNeighbours('出边', neighbours.out);
+    } else {
+      html += `<div class="detail-section">
+          <h4>连接</h4>
+          <div class="detail-group">
+            ${this.renderLink(neighbours.from)} &rarr; ${this.renderLink(neighbours.to)}
+          </div>
+        </div>`;
+    }
+    this.content.innerHTML = html;
+    this.el.classList.add('active');
+  }
+  hide() {
+    this.el.classList.remove('active');
+    this.type = null;
+    this.id = null;
+  }
+  isShow() {
+    return !!this.el && this.el.classList.contains('active');
+  }
+  // 所有属性, 表单中有的属性使用表单的名称
+  renderProperties(type, item) {
+    let rows = Object.keys(item)
+      .filter((key) => this.options.ignore.indexOf(key) === -1)
+      .map((key) => {
+        let field = this.getField(type, key);
+        let label = field ? field.content : this.options.labels[key] || key;
+        return `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(
+          this.formatValue(field, item[key])
+        )}</td></tr>`;
+      });
+    return `<div class="detail-section">
+        <h4>属性</h4>
+        <table class="detail-props">${rows.join('')}</table>
+      </div>`;
+  }
+  // 相邻顶点按照边的类型分组
+  renderNeighbours(title, list) {
+    let groups = {};
+    let order = [];
+    list.forEach(({ edge, vertex }) => {
+      let type = edge.type || '';
+      if (!groups[type]) {
+        groups[type] = [];
+        order.push(type);
+      }
+      groups[type].push(vertex);
+    });
+
+    let typeField = this.getField('edge', 'type');
+    let html = order
+      .map((type) => {
+        let name = type ? this.formatValue(typeField, type) : '其他';
+        let links = groups[type].map((vertex) => this.renderLink(vertex)).join('');
+        return `<div class="detail-group">
+            <div class="detail-group-title">${escapeHTML(name)} (${groups[type].length})</div>
+            ${links}
+          </div>`;
+      })
+      .join('');
+    return `<div class="detail-section">
+        <h4>${title}</h4>
+        ${html || '<div class="detail-empty">无</div>'}
+      </div>`;
+  }
+  renderLink(vertex) {
+    if (!vertex) return '<span class="detail-empty">已隐藏</span>';
+    return `<a class="detail-link" data-id="${escapeHTML(vertex._id)}">${escapeHTML(
+      vertex.name || vertex._id
+    )}</a>`;
+  }
+  getField(type, key) {
+    return this.fields[type].filter((field) => field.name === key)[0] || null;
+  }
+  // 选项类的属性显示选项的内容
+  formatValue(field, value) {
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    if (field && field.options) {
+      let option = field.options.filter((item) => item.value === value)[0];
+      if (option) return option.content;
+    }
+    return value;
+  }
+}
+
+export default Detail;
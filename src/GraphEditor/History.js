@@ -0,0 +1,125 @@
+/**
+ * History: 操作记录面板, 列出每一步操作, 点击跳转到对应的步骤
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      placeholder [String] 检查点名称输入框的提示文字
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 面板元素
+ *   list: 步骤列表元素
+ *   input: 检查点名称输入框
+ *
+ * @methods
+ *   init(): 初始化操作记录面板
+ *   toggle(): 显示/隐藏面板
+ *   isShow(): 是否正在显示
+ *   render(steps, point): 渲染步骤列表, steps 为 Cache.getSteps() 的结果, point 为当前所在的步骤,
+ *     步骤的 index 小于 0 时为已经被丢弃的记录中保留的检查点
+ *   bindClickEvents(cb): 点击步骤时调用 cb('jump.history', index),
+ *     添加检查点时调用 cb('checkpoint.history', name), 删除检查点时调用 cb('uncheckpoint.history', index)
+ *   formatTime(time): 步骤中显示的时间
+ *
+ * 第 0 步为最早的状态, 当前步骤之后的操作可以重做, 显示为灰色
+ *
+ * create by destiny on 2020-04-27
+ */
+import { checkEl, escapeHTML } from '../utils';
+
+class History {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      placeholder: '检查点名称',
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+  }
+
+  init() {
+    this.create();
+  }
+  create() {
+    let history = document.createElement('div');
+    history.classList.add('graph-history');
+    this.el = history;
+
+    history.innerHTML = `
+      <h3 class="history-title"><i class="iconfont icon-undo"></i> 操作记录</h3>
+      <div class="history-list"></div>
+      <div class="history-footer">
+        <input type="text" class="history-input" placeholder="${escapeHTML(this.options.placeholder)}">
+        <button type="button" class="btn btn-info history-checkpoint">添加检查点</button>
+      </div>`;
+    this.list = history.querySelector('.history-list');
+    this.input = history.querySelector('.history-input');
+
+    this.container.appendChild(history);
+    return this;
+  }
+  bindClickEvents(cb) {
+    const addCheckpoint = () => {
+      let name = this.input.value.trim();
+      if (!name) {
+        this.input.focus();
+        return;
+      }
+      this.input.value = '';
+      cb && cb('checkpoint.history', name);
+    };
+    this.el.addEventListener('click', (e) => {
+      let el = e.target;
+      if (el.classList.contains('history-checkpoint')) {
+        addCheckpoint();
+        return;
+      }
+      let item = el.closest('.history-item');
+      if (!item) return;
+      if (el.classList.contains('history-remove')) {
+        cb && cb('uncheckpoint.history', +item.dataset.index);
+      } else {
+        cb && cb('jump.history', +item.dataset.index);
+      }
+    });
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addCheckpoint();
+    });
+  }
+  toggle() {
+    this.el.classList.toggle('active');
+  }
+  isShow() {
+    return !!this.el && this.el.classList.contains('active');
+  }
+  render(steps, point) {
+    this.list.innerHTML = steps
+      .map((step) => {
+        let { index } = step;
+        let classes = ['history-item'];
+        if (index === point) classes.push('active');
+        if (index > point) classes.push('future');
+        if (index < 0) classes.push('pinned');
+        let checkpoint = step.checkpoint
+          ? `<div class="history-mark">&#9733; ${escapeHTML(step.checkpoint)}
+              <i class="history-remove" title="删除检查点">&times;</i>
+            </div>`
+          : '';
+        return `<div class="${classes.join(' ')}" data-index="${index}">
+            ${checkpoint}
+            <span class="history-label">${escapeHTML(step.label)}</span>
+            <span class="history-time" title="${escapeHTML(new Date(step.time).toLocaleString())}">${this.formatTime(step.time)}</span>
+          </div>`;
+      })
+      .join('');
+
+    let active = this.list.querySelector('.active');
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  }
+  formatTime(time) {
+    return new Date(time).toTimeString().slice(0, 8);
+  }
+}
+
+export default History;
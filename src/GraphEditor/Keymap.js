@@ -0,0 +1,137 @@
+/**
+ * Keymap: 键盘快捷键, 将按键转换为操作名称, 由编辑器通过 eventProxy 派发
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素, 只处理容器内的按键
+ *   options [ Object ] 按键与操作的对应关系 {key: operation}, 与默认配置合并
+ *      key 为 'ctrl+z' 形式的组合键, 修饰键为 ctrl, alt, shift, Mac 上的 cmd 视为 ctrl
+ *      operation 为 eventProxy 中的操作名称, 设置为 null 或者 false 时取消该按键
+ *
+ * @constructor
+ *   container: 容器元素, 没有 tabindex 时设置为 -1, 点击之后可以获得焦点
+ *   options: 合并之后的配置
+ *   keys: 规范化之后的按键与操作的对应关系
+ *   handler: 绑定的键盘事件处理函数
+ *
+ * @methods
+ *   bindKeyEvents(cb): 绑定键盘事件, 按键对应某个操作时调用 cb(operation, e)
+ *   unbindKeyEvents(): 解绑键盘事件
+ *   getKey(e): 将键盘事件转换为规范化的按键字符串
+ *   normalize(key): 规范化配置中的按键字符串, 例如 'Shift+Ctrl+Z' 转换为 'ctrl+shift+z'
+ *   getShortcut(operation): 获取操作对应的第一个按键, 没有时返回空字符串
+ *
+ * 键盘事件绑定在容器上, 不影响页面的其他部分
+ * 输入框中的按键不处理, 匹配到操作时阻止浏览器的默认行为
+ *
+ * create by destiny on 2020-04-24
+ */
+
+import { checkEl } from '../utils';
+
+// 修饰键的顺序, 规范化之后的按键按照这个顺序排列
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+// 按键的别名
+const ALIASES = {
+  cmd: 'ctrl',
+  meta: 'ctrl',
+  control: 'ctrl',
+  esc: 'escape',
+  del: 'delete',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+  ' ': 'space',
+};
+
+class Keymap {
+  constructor(container, options) {
+    this.container = checkEl(container);
+    if (!this.container.hasAttribute('tabindex')) {
+      this.container.setAttribute('tabindex', '-1');
+    }
+
+    let defalutOptions = {
+      'ctrl+s': 'save',
+      'ctrl+z': 'undo',
+      'ctrl+y': 'redo',
+      'ctrl+shift+z': 'redo',
+      delete: 'remove.selection',
+      backspace: 'remove.selection',
+      'ctrl+c': 'copy.selection',
+      'ctrl+x': 'cut.selection',
+      'ctrl+v': 'paste.selection',
+      '+': 'zoom_in',
+      '=': 'zoom_in',
+      '-': 'zoom_out',
+      escape: 'clear.highlight',
+      'ctrl+k': 'palette',
+      arrowup: 'nudge.up',
+      arrowdown: 'nudge.down',
+      arrowleft: 'nudge.left',
+      arrowright: 'nudge.right',
+      'shift+arrowup': 'nudge.up',
+      'shift+arrowdown': 'nudge.down',
+      'shift+arrowleft': 'nudge.left',
+      'shift+arrowright': 'nudge.right',
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.handler = null;
+    this.keys = {};
+    Object.keys(this.options).forEach((key) => {
+      let operation = this.options[key];
+      if (operation) {
+        this.keys[this.normalize(key)] = operation;
+      }
+    });
+  }
+  bindKeyEvents(cb) {
+    this.unbindKeyEvents();
+    this.handler = (e) => {
+      let target = e.target;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable) return;
+
+      let operation = this.keys[this.getKey(e)];
+      if (!operation) return;
+      e.preventDefault();
+      cb && cb(operation, e);
+    };
+    this.container.addEventListener('keydown', this.handler);
+  }
+  unbindKeyEvents() {
+    if (!this.handler) return;
+    this.container.removeEventListener('keydown', this.handler);
+    this.handler = null;
+  }
+  getKey(e) {
+    let key = e.key.toLowerCase();
+    key = ALIASES[key] || key;
+
+    let modifiers = [];
+    if (e.ctrlKey || e.metaKey) modifiers.push('ctrl');
+    if (e.altKey) modifiers.push('alt');
+    // '+' 等符号已经包含了 shift 的结果, 只有字母和功能键保留 shift
+    if (e.shiftKey && (key.length > 1 || /[a-z]/.test(key))) modifiers.push('shift');
+
+    return modifiers.concat(key).join('+');
+  }
+  getShortcut(operation) {
+    let keys = Object.keys(this.keys).filter((key) => this.keys[key] === operation);
+    return keys.length ? keys[0] : '';
+  }
+  normalize(key) {
+    let parts = key.toLowerCase().split('+');
+    // '+' 本身作为按键时, 拆分之后末尾为空字符串
+    if (parts[parts.length - 1] === '') {
+      parts = parts.filter((part) => part).concat('+');
+    }
+    parts = parts.map((part) => ALIASES[part] || part);
+
+    let main = parts.pop();
+    let modifiers = MODIFIERS.filter((m) => parts.indexOf(m) !== -1);
+    return modifiers.concat(main).join('+');
+  }
+}
+
+export default Keymap;
@@ -0,0 +1,93 @@
+/**
+ * LabelEditor: 行内文本编辑框, 覆盖在顶点名称或者边的文字上, 用于快速修改
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      minWidth [Number] 输入框的最小宽度, 默认 80
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 输入框元素
+ *   value: 打开时的初始值
+ *   cb: 提交时的回调
+ *
+ * @methods
+ *   init(): 创建输入框
+ *   show(rect, value, cb): 在 rect {left, top, width, height} (相对于容器) 的中心打开输入框
+ *   commit(): 提交修改, 内容发生变化时调用 cb(value)
+ *   cancel(): 放弃修改
+ *   isShow(): 是否正在编辑
+ *
+ * 回车或者失去焦点时提交, Esc 放弃
+ *
+ * create by destiny on 2020-04-25
+ */
+import { checkEl } from '../utils';
+
+class LabelEditor {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      minWidth: 80,
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.value = '';
+    this.cb = null;
+  }
+
+  init() {
+    let input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('graph-label-editor', 'hide');
+    this.el = input;
+    this.container.appendChild(input);
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.commit();
+      } else if (e.key === 'Escape') {
+        this.cancel();
+      }
+    });
+    input.addEventListener('blur', () => {
+      this.commit();
+    });
+  }
+  show({ left, top, width, height }, value, cb) {
+    const el = this.el;
+    this.value = value;
+    this.cb = cb;
+
+    el.value = value;
+    el.classList.remove('hide');
+    let inputWidth = Math.max(width + 20, this.options.minWidth);
+    el.style.width = inputWidth + 'px';
+    el.style.left = left + width / 2 - inputWidth / 2 + 'px';
+    el.style.top = top + height / 2 - el.offsetHeight / 2 + 'px';
+    el.focus();
+    el.select();
+  }
+  commit() {
+    if (!this.isShow()) return;
+    let value = this.el.value;
+    let cb = this.cb;
+    this.cancel();
+    if (value !== this.value) {
+      cb && cb(value);
+    }
+  }
+  cancel() {
+    if (!this.isShow()) return;
+    this.cb = null;
+    this.el.classList.add('hide');
+    this.el.blur();
+  }
+  isShow() {
+    return !!this.el && !this.el.classList.contains('hide');
+  }
+}
+
+export default LabelEditor;
@@ -16,6 +16,8 @@ import { checkEl } from '../utils';
  *   show(): 显示 menu
  *   hide(): 隐藏 menu
  *
+ * 右键的元素处于选中状态时, 节点和边的菜单操作作用于所有选中的元素
+ *
  * create by destiny on 2019-03-26
  * update by destiny on 2019-04-01
  */
@@ -37,10 +39,18 @@ class Menu {
           name: 'redo',
           content: '重做',
         },
-        // {
-        //   name: 'paste',
-        //   content: '粘贴'
-        // },
+        {
+          name: 'paste',
+          content: '粘贴',
+        },
+        {
+          name: 'release',
+          content: '释放所有固定的节点',
+        },
+        {
+          name: 'show',
+          content: '显示所有隐藏的节点',
+        },
         {
           name: 'import',
           content: '导入 json 数据',
@@ -63,10 +73,30 @@ class Menu {
           name: 'check',
           content: '查看',
         },
-        // {
-        //   name: 'copy',
-        //   content: '复制'
-        // },
+        {
+          name: 'unpin',
+          content: '取消固定',
+        },
+        {
+          name: 'center',
+          content: '居中显示',
+        },
+        {
+          name: 'focus',
+          content: '聚焦节点及相邻节点',
+        },
+        {
+          name: 'hide',
+          content: '隐藏',
+        },
+        {
+          name: 'copy',
+          content: '复制',
+        },
+        {
+          name: 'cut',
+          content: '剪切',
+        },
         {
           name: 'remove',
           content: '删除',
@@ -81,6 +111,10 @@ class Menu {
           name: 'check',
           content: '查看',
         },
+        {
+          name: 'hide',
+          content: '隐藏',
+        },
         {
           name: 'remove',
           content: '删除',
@@ -0,0 +1,53 @@
+/**
+ * Message: 操作结果的提示, 显示在画布顶部, 一段时间之后自动消失
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      duration [Number] 显示的时间, 单位 ms, 默认 2000
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 提示元素
+ *   timer: 自动隐藏的定时器
+ *
+ * @methods
+ *   init(): 创建提示元素
+ *   show(text, type): 显示提示, type 为 'success', 'error' 或者 'info', 默认 'info'
+ *   hide(): 隐藏提示
+ *
+ * create by destiny on 2020-04-28
+ */
+import { checkEl } from '../utils';
+
+class Message {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      duration: 2000,
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.timer = null;
+  }
+
+  init() {
+    let message = document.createElement('div');
+    message.classList.add('graph-message', 'hide');
+    this.el = message;
+    this.container.appendChild(message);
+  }
+  show(text, type = 'info') {
+    clearTimeout(this.timer);
+    this.el.textContent = text;
+    this.el.className = `graph-message message-${type}`;
+    this.timer = setTimeout(() => this.hide(), this.options.duration);
+  }
+  hide() {
+    clearTimeout(this.timer);
+    this.el && this.el.classList.add('hide');
+  }
+}
+
+export default Message;
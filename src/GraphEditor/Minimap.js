@@ -0,0 +1,204 @@
+/**
+ * Minimap: 缩略图面板, 显示整个图谱的概览以及当前可视区域
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      width [Number] 缩略图宽度, 默认 200
+ *      height [Number] 缩略图高度, 默认 150
+ *      padding [Number] 图谱与缩略图边缘的距离, 默认 10
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 面板元素
+ *   svg: 缩略图的 svg, d3 选择集
+ *   viewport: 表示可视区域的矩形, d3 选择集
+ *   graph: 当前绑定的图实例
+ *   scale: 缩略图坐标与图谱坐标的比例
+ *   offset: 图谱坐标原点在缩略图中的位置 [x, y]
+ *
+ * @methods
+ *   init(): 初始化缩略图面板
+ *   toggle(): 显示/隐藏缩略图面板
+ *   bindGraph(graph): 绑定图实例, 监听它的缩放和平移, 切换图谱类型之后需要重新绑定
+ *   update(): 重新绘制概览以及可视区域, 面板隐藏时不绘制
+ *   updateViewport(): 根据图谱当前的 transform 更新可视区域
+ *   panTo(x, y, duration): 平移图谱, 使图谱坐标 (x, y) 位于画布中心
+ *
+ * 点击缩略图, 图谱平移到点击的位置; 拖拽可视区域, 图谱跟随平移
+ *
+ * create by destiny on 2020-04-21
+ */
+import * as d3 from 'd3';
+import { checkEl } from '../utils';
+
+class Minimap {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      width: 200,
+      height: 150,
+      padding: 10,
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.graph = null;
+    this.scale = 1;
+    this.offset = [0, 0];
+  }
+
+  init() {
+    this.create().bindEvents();
+    this.update();
+  }
+  create() {
+    let minimap = document.createElement('div');
+    minimap.classList.add('graph-minimap');
+    this.el = minimap;
+
+    minimap.innerHTML = '<h3 class="minimap-title"><i class="iconfont icon-fit"></i> 缩略图</h3>';
+    this.container.appendChild(minimap);
+
+    const { width, height } = this.options;
+    this.svg = d3
+      .select(minimap)
+      .append('svg')
+      .classed('minimap-content', true)
+      .attr('width', width)
+      .attr('height', height);
+    this.svg.append('g').classed('minimap-edges', true);
+    this.svg.append('g').classed('minimap-vertexes', true);
+    this.viewport = this.svg.append('rect').classed('minimap-viewport', true);
+
+    return this;
+  }
+  bindEvents() {
+    // 点击缩略图时平移到对应的位置
+    this.svg.on('click', () => {
+      if (!this.graph) return;
+      const [x, y] = d3.mouse(this.svg.node());
+      this.panTo((x - this.offset[0]) / this.scale, (y - this.offset[1]) / this.scale);
+    });
+
+    // 拖拽可视区域时, 图谱反向平移相同的距离
+    this.viewport.call(
+      d3.drag().on('drag', () => {
+        const graph = this.graph;
+        if (!graph || !graph.zoom) return;
+        const { dx, dy } = d3.event;
+        graph.transformTo(graph.getTransform().translate(-dx / this.scale, -dy / this.scale), 0);
+      })
+    );
+  }
+  toggle() {
+    this.el.classList.toggle('active');
+    this.update();
+  }
+  bindGraph(graph) {
+    this.graph = graph;
+    // 使用命名空间, 不影响图谱自身的缩放回调
+    if (graph.zoom) graph.zoom.on('zoom.minimap', () => this.updateViewport());
+    this.update();
+    return this;
+  }
+  update() {
+    if (!this.el || !this.graph || !this.el.classList.contains('active')) return this;
+
+    const graph = this.graph;
+    const { width, height, padding } = this.options;
+    // Tree 中由于折叠而隐藏的顶点不显示
+    let visibleMap = {};
+    const vertexes = graph.getVisibleVertexes().filter((v) => isFinite(v.x) && isFinite(v.y));
+    vertexes.forEach((v) => {
+      visibleMap[v._id] = true;
+    });
+    const edges = graph.edges.filter(
+      (e) => e.source && e.target && visibleMap[e.source._id] && visibleMap[e.target._id]
+    );
+
+    // 将所有顶点所占的区域缩放到缩略图中并居中
+    const bbox = graph.getBBox(vertexes) || {
+      x: 0,
+      y: 0,
+      width: graph.options.width,
+      height: graph.options.height,
+    };
+    const scale = Math.min(
+      (width - padding * 2) / Math.max(bbox.width, 1),
+      (height - padding * 2) / Math.max(bbox.height, 1)
+    );
+    this.scale = scale;
+    this.offset = [
+      (width - bbox.width * scale) / 2 - bbox.x * scale,
+      (height - bbox.height * scale) / 2 - bbox.y * scale,
+    ];
+    const px = (x) => this.offset[0] + x * scale;
+    const py = (y) => this.offset[1] + y * scale;
+
+    const edgeUpdate = this.svg
+      .select('.minimap-edges')
+      .selectAll('line')
+      .data(edges, (d) => d._id);
+    edgeUpdate.exit().remove();
+    edgeUpdate
+      .enter()
+      .append('line')
+      .merge(edgeUpdate)
+      .attr('x1', (d) => px(d.source.x))
+      .attr('y1', (d) => py(d.source.y))
+      .attr('x2', (d) => px(d.target.x))
+      .attr('y2', (d) => py(d.target.y))
+      .attr('stroke', (d) => graph.getEdgeColor(d));
+
+    const vertexUpdate = this.svg
+      .select('.minimap-vertexes')
+      .selectAll('circle')
+      .data(vertexes, (d) => d._id);
+    vertexUpdate.exit().remove();
+    vertexUpdate
+      .enter()
+      .append('circle')
+      .merge(vertexUpdate)
+      .attr('cx', (d) => px(d.x))
+      .attr('cy', (d) => py(d.y))
+      .attr('r', (d) => Math.max(1.5, graph.getRadius(d) * scale))
+      .attr('fill', (d) => graph.getVertexColor(d));
+
+    this.updateViewport();
+
+    return this;
+  }
+  updateViewport() {
+    if (!this.el || !this.graph || !this.el.classList.contains('active')) return this;
+
+    // 画布左上角和右下角在图谱坐标中的位置
+    const { width, height } = this.graph.options;
+    const transform = this.graph.getTransform();
+    const [x0, y0] = transform.invert([0, 0]);
+    const [x1, y1] = transform.invert([width, height]);
+
+    this.viewport
+      .attr('x', this.offset[0] + x0 * this.scale)
+      .attr('y', this.offset[1] + y0 * this.scale)
+      .attr('width', (x1 - x0) * this.scale)
+      .attr('height', (y1 - y0) * this.scale);
+
+    return this;
+  }
+  panTo(x, y, duration) {
+    const graph = this.graph;
+    if (!graph || !graph.zoom) return this;
+
+    const { width, height } = graph.options;
+    const { k } = graph.getTransform();
+    graph.transformTo(
+      d3.zoomIdentity.translate(width / 2 - x * k, height / 2 - y * k).scale(k),
+      duration
+    );
+
+    return this;
+  }
+}
+
+export default Minimap;
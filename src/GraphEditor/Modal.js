@@ -12,6 +12,7 @@
  * @methods
  *   show(): 显示 Modal
  *   hide(): 隐藏 Modal
+ *   setTitle(title): 修改标题, 创建时没有标题则不生效
  *
  * create by destiny on 2019-04-02
  * update by destiny on 2020-04-01
@@ -80,6 +81,10 @@ class Modal {
       this.el.style.display = 'none';
     }, 300);
   }
+  setTitle(title) {
+    let h3 = this.dialog.querySelector('.modal-title');
+    if (h3) h3.textContent = title;
+  }
 }
 
 export default Modal;
@@ -0,0 +1,187 @@
+/**
+ * Palette: 命令面板, 模糊搜索编辑器的操作以及顶点
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      placeholder [String] 输入框的提示文字
+ *      limit [Number] 有输入内容时最多显示的条目数, 默认 20
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 面板元素
+ *   input: 输入框
+ *   list: 条目列表元素
+ *   items: 打开面板时传入的全部条目
+ *   results: 当前显示的条目
+ *   active: 当前选中的条目在 results 中的索引
+ *
+ * @methods
+ *   init(): 初始化命令面板
+ *   show(items): 打开面板, 传入可供搜索的条目
+ *   hide(): 关闭面板
+ *   isShow(): 面板是否打开
+ *   filter(query): 根据输入的内容过滤并排序条目
+ *   bindSelectEvents(cb): 点击或者回车选中条目时, 关闭面板并调用 cb(item)
+ *
+ * 条目为 {type, title, hint, keyword, data}, type 为 'command' 或者 'vertex',
+ * 同时匹配 title 和 keyword, 没有输入内容时显示所有的操作
+ *
+ * create by destiny on 2020-04-25
+ */
+import { checkEl, fuzzyMatch } from '../utils';
+
+class Palette {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      placeholder: '输入操作或者节点名称',
+      limit: 20,
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+
+    this.items = [];
+    this.results = [];
+    this.active = 0;
+  }
+
+  init() {
+    this.create().bindEvents();
+  }
+  create() {
+    let palette = document.createElement('div');
+    palette.classList.add('graph-palette', 'hide');
+    this.el = palette;
+
+    let dialog = document.createElement('div');
+    dialog.classList.add('palette-dialog');
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.classList.add('palette-input');
+    this.input.setAttribute('placeholder', this.options.placeholder);
+
+    this.list = document.createElement('div');
+    this.list.classList.add('palette-list');
+
+    dialog.appendChild(this.input);
+    dialog.appendChild(this.list);
+    palette.appendChild(dialog);
+    this.container.appendChild(palette);
+
+    return this;
+  }
+  bindEvents() {
+    this.input.addEventListener('input', () => {
+      this.filter(this.input.value);
+    });
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        let length = this.results.length;
+        if (length === 0) return;
+        this.setActive((this.active + (e.key === 'ArrowDown' ? 1 : -1) + length) % length);
+      } else if (e.key === 'Enter') {
+        this.select(this.active);
+      } else if (e.key === 'Escape') {
+        this.hide();
+      }
+    });
+    this.list.addEventListener('mousemove', (e) => {
+      let item = e.target.closest('.palette-item');
+      if (item) this.setActive(+item.dataset.index);
+    });
+    this.list.addEventListener('click', (e) => {
+      let item = e.target.closest('.palette-item');
+      if (item) this.select(+item.dataset.index);
+    });
+    // 点击面板以外的区域关闭
+    this.el.addEventListener('click', (e) => {
+      if (e.target === this.el) this.hide();
+    });
+  }
+  bindSelectEvents(cb) {
+    this.onSelect = cb;
+  }
+  select(index) {
+    let item = this.results[index];
+    if (!item) return;
+    this.hide();
+    this.onSelect && this.onSelect(item);
+  }
+  show(items) {
+    this.items = items;
+    this.input.value = '';
+    this.filter('');
+    this.el.classList.remove('hide');
+    this.input.focus();
+  }
+  hide() {
+    this.el.classList.add('hide');
+    this.input.blur();
+  }
+  isShow() {
+    return !!this.el && !this.el.classList.contains('hide');
+  }
+  filter(query) {
+    query = query.trim();
+    if (!query) {
+      this.results = this.items.filter((item) => item.type === 'command');
+    } else {
+      this.results = this.items
+        .map((item) => {
+          let scores = [fuzzyMatch(query, item.title), fuzzyMatch(query, item.keyword || '')];
+          scores = scores.filter((score) => score !== null);
+          return { item, score: scores.length ? Math.max.apply(null, scores) : null };
+        })
+        .filter(({ score }) => score !== null)
+        .sort((a, b) => b.score - a.score)
+        .map(({ item }) => item)
+        .slice(0, this.options.limit);
+    }
+    this.render();
+    this.setActive(0);
+    return this;
+  }
+  render() {
+    this.list.innerHTML = '';
+    let fr = document.createDocumentFragment();
+    this.results.forEach((item, i) => {
+      let oDiv = document.createElement('div');
+      oDiv.classList.add('palette-item', 'palette-' + item.type);
+      oDiv.dataset.index = i;
+
+      let title = document.createElement('span');
+      title.classList.add('palette-title');
+      title.textContent = item.title;
+      oDiv.appendChild(title);
+      if (item.hint) {
+        let hint = document.createElement('span');
+        hint.classList.add('palette-hint');
+        hint.textContent = item.hint;
+        oDiv.appendChild(hint);
+      }
+      fr.append(oDiv);
+    });
+    if (this.results.length === 0) {
+      let empty = document.createElement('div');
+      empty.classList.add('palette-empty');
+      empty.textContent = '没有匹配的结果';
+      fr.append(empty);
+    }
+    this.list.appendChild(fr);
+  }
+  setActive(index) {
+    this.active = index;
+    let items = this.list.querySelectorAll('.palette-item');
+    for (let i = 0; i < items.length; i++) {
+      items[i].classList.toggle('active', i === index);
+    }
+    if (items[index] && items[index].scrollIntoView) {
+      items[index].scrollIntoView({ block: 'nearest' });
+    }
+  }
+}
+
+export default Palette;
@@ -16,6 +16,11 @@
  *   init(): 初始化菜单栏
  *   create(): 创建菜单栏
  *   bindClickEvents(cb): 绑定点击事件, 传入点击回调
+ *   setType(type, layout): 切换图谱类型, 更新标题 ICON 以及布局按钮的选中状态, layout 默认与 type 相同
+ *   setSelectMode(mode): 更新选择模式按钮的选中状态
+ *
+ * 每个操作项为 {name, content, text}, name 对应 icon-<name> 图标, content 为提示文字,
+ * 没有对应图标时可以使用 text 作为按钮上显示的文字
  *
  *
  * create by destiny on 2019-03-27
@@ -29,6 +34,11 @@ class Toolbar {
 
     let defalutOptions = {
       cache: [
+        {
+          name: 'save',
+          content: '保存',
+          text: '存',
+        },
         {
           name: 'undo',
           content: '撤销',
@@ -37,27 +47,57 @@ class Toolbar {
           name: 'redo',
           content: '重做',
         },
+        {
+          name: 'history',
+          content: '操作记录',
+          text: '史',
+        },
+      ],
+      select: [
+        {
+          name: 'select',
+          content: '单选',
+        },
+        {
+          name: 'multi',
+          content: '框选',
+        },
+        {
+          name: 'lasso',
+          content: '套索',
+          text: '套',
+        },
+      ],
+      layout: [
+        {
+          name: 'tree',
+          content: '树状图',
+        },
+        {
+          name: 'force',
+          content: '力导向图',
+        },
+        {
+          name: 'circular',
+          content: '环形布局',
+          text: '环',
+        },
+        {
+          name: 'grid',
+          content: '网格布局',
+          text: '网',
+        },
+        {
+          name: 'concentric',
+          content: '同心圆布局',
+          text: '心',
+        },
+        {
+          name: 'dag',
+          content: '分层布局',
+          text: '层',
+        },
       ],
-      // select: [
-      //   {
-      //     name: 'multi',
-      //     content: '框选'
-      //   },
-      //   {
-      //     name: 'select',
-      //     content: '单选'
-      //   }
-      // ],
-      // layout: [
-      //   {
-      //     name: 'tree',
-      //     content: '树状图'
-      //   },
-      //   {
-      //     name: 'force',
-      //     content: '力导向图'
-      //   }
-      // ],
       zoom: [
         {
           name: 'zoom_in',
@@ -71,6 +111,10 @@ class Toolbar {
           name: 'actual_size',
           content: '原始大小',
         },
+        {
+          name: 'fit',
+          content: '适应画布',
+        },
       ],
       info: [
         {
@@ -81,6 +125,11 @@ class Toolbar {
           name: 'filter',
           content: '数据过滤面板',
         },
+        {
+          name: 'minimap',
+          content: '缩略图',
+          text: '览',
+        },
       ],
     };
     this.type = type;
@@ -112,6 +161,7 @@ class Toolbar {
     icon.classList.add('iconfont', 'icon-' + this.type);
     oTitle.appendChild(icon);
     toolbar.appendChild(oTitle);
+    this.titleIcon = icon;
 
     // 可点击操作
     Object.keys(this.options).forEach((key) => {
@@ -122,6 +172,10 @@ class Toolbar {
         let name = item.content;
         let icon = document.createElement('i');
         icon.classList.add('operation', 'iconfont', 'icon-' + operation);
+        if (item.text) {
+          icon.classList.add('text');
+          icon.textContent = item.text;
+        }
         icon.setAttribute('title', name);
         icon.dataset.operation = operation;
         oLi.appendChild(icon);
@@ -141,7 +195,27 @@ class Toolbar {
     toolbar.appendChild(oClose);
 
     this.container.insertBefore(toolbar, this.container.firstChild);
+    this.setType(this.type);
+
+    return this;
+  }
+  setType(type, layout = type) {
+    this.titleIcon.classList.remove('icon-' + this.type);
+    this.titleIcon.classList.add('icon-' + type);
+    this.type = type;
 
+    // 当前布局的按钮处于选中状态
+    (this.options.layout || []).forEach((item) => {
+      let el = this.el.querySelector(`[data-operation="${item.name}"]`);
+      el && el.classList.toggle('active', item.name === layout);
+    });
+    return this;
+  }
+  setSelectMode(mode) {
+    (this.options.select || []).forEach((item) => {
+      let el = this.el.querySelector(`[data-operation="${item.name}"]`);
+      el && el.classList.toggle('active', item.name === mode);
+    });
     return this;
   }
 }
@@ -0,0 +1,70 @@
+/**
+ * Tooltip: 鼠标悬停在顶点或者边上时显示的提示框
+ *
+ * @parameter
+ *   container [ HTMLElement | String ] 容器元素
+ *   options [ Object ] 相关配置
+ *      vertex [String | Function | false] 顶点的模板, 字符串中的 {key} 替换为顶点数据中对应的值,
+ *        函数接收顶点数据并返回 HTML 字符串, false 时不显示
+ *      edge [String | Function | false] 边的模板, 与 vertex 相同
+ *      offset [Number] 提示框与鼠标的距离, 默认 12
+ *
+ * @constructor
+ *   container: 容器元素
+ *   el: 提示框元素
+ *
+ * @methods
+ *   init(): 创建提示框
+ *   show(type, d, [clientX, clientY]): 在鼠标位置显示顶点或者边的提示, 模板结果为空时不显示
+ *   hide(): 隐藏提示框
+ *   render(type, d): 根据模板生成 HTML 字符串
+ *
+ * create by destiny on 2020-04-26
+ */
+import { checkEl, escapeHTML } from '../utils';
+
+class Tooltip {
+  constructor(container, options) {
+    this.container = checkEl(container);
+
+    let defalutOptions = {
+      vertex: '<b>{name}</b><br>类型: {type}',
+      edge: '<b>{label}</b><br>类型: {type}',
+      offset: 12,
+    };
+    this.options = Object.assign({}, defalutOptions, options);
+  }
+
+  init() {
+    let tooltip = document.createElement('div');
+    tooltip.classList.add('graph-tooltip', 'hide');
+    this.el = tooltip;
+    this.container.appendChild(tooltip);
+  }
+  show(type, d, [clientX, clientY]) {
+    let html = this.render(type, d);
+    if (!html) {
+      this.hide();
+      return;
+    }
+    let { left, top } = this.container.getBoundingClientRect();
+    let offset = this.options.offset;
+    this.el.innerHTML = html;
+    this.el.style.left = clientX - left + offset + 'px';
+    this.el.style.top = clientY - top + offset + 'px';
+    this.el.classList.remove('hide');
+  }
+  hide() {
+    this.el && this.el.classList.add('hide');
+  }
+  render(type, d) {
+    let template = this.options[type];
+    if (!template) return '';
+    if (typeof template === 'function') return template(d);
+
+    // 插入的值需要转义, 避免数据中的 HTML 被解析
+    return template.replace(/\{(\w+)\}/g, (match, key) => escapeHTML(d[key]));
+  }
+}
+
+export default Tooltip;
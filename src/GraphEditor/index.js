@@ -12,21 +12,93 @@
  *   type: 当前图谱类型
  *   data: 数据
  *   eventProxy: 事件池
+ *   cache: 操作记录, 保存每次操作的修改记录 patch, 配置为 options.cache, 参考 Cache
  *   toolbar: 菜单栏
  *   info: 信息面板
  *   search: 过滤面板
+ *   minimap: 缩略图面板
+ *   keymap: 键盘快捷键
+ *   palette: 命令面板
+ *   labelEditor: 行内文本编辑框
+ *   tooltip: 悬停提示框
+ *   detail: 顶点和边的详情面板
+ *   history: 操作记录面板
+ *   hoverOptions: 悬停行为 {tooltip, highlight}, tooltip 为是否显示提示框, 默认 true,
+ *     highlight 为是否预览顶点及其相邻的顶点和边, 默认 false
  *   menu: 右键菜单
  *   vertexModal: 节点表单弹窗
  *   edgeModal: 边表单弹窗
  *   outModal: 离开时的提示弹窗
+ *   restoreModal: 恢复草稿的提示弹窗
+ *   autosave: 自动保存, options.autosave 为 true 或者配置对象时开启, 参考 Autosave, 否则为 null
+ *   saveAdapter: 保存方式, 为 options.save, 函数 save(data, editor) 返回 Promise 或者结果,
+ *     或者请求配置 {url, method, headers}, data 以 JSON 发送, method 默认 'POST', 没有配置时为 null
+ *   saving: 正在进行的保存, 为保存的 Promise, 否则为 null
+ *   message: 操作结果的提示
+ *   selectMode: 当前的选择模式, 'select', 'multi' 或者 'lasso'
+ *   pointer: 鼠标在图谱上最后的位置 [pageX, pageY], 使用快捷键粘贴时作为粘贴的位置
+ *   batchLabel: 批量记录的名称, 不在批量记录中时为 null
  *
  * @methods
  *   getVertexFormConfig(): 可复写方法, 设置节点的信息表单项
  *   getEdgeFormConfig(): 可复写方法, 设置边的信息表单项
+ *   getCommands(): 可复写方法, 命令面板中的操作 [{name, title, available}], available 为函数, 返回当前是否可用
+ *   runCommand(name): 执行 eventProxy 中的操作, 为工具栏和菜单的操作传入对应的参数
+ *   locateVertex(id): 平移到顶点并将其选中和高亮
+ *   editLabel(type, id): 在顶点名称或者边的文字上打开行内编辑, 修改作为一次操作记录, 双击顶点或者边时触发
+ *   getLabelRect(type, d): 顶点名称或者边的文字相对于容器的位置 {left, top, width, height}
+ *   hoverIn(type, d): 鼠标移入顶点或者边, 显示提示框以及预览
+ *   hoverOut(): 鼠标移出, 隐藏提示框并取消预览
+ *   showDetail(type, id): 在详情面板中显示顶点或者边的所有属性以及相邻的顶点, 元素不存在时关闭面板
+ *   refreshDetail(): 数据变化之后刷新正在显示的详情
+ *   getCacheLabel(cache): 可复写方法, 根据修改记录生成操作的名称, 如 '添加节点 xxx', 没有传入 label 的操作使用这个名称
+ *   refreshHistory(): 操作记录变化之后刷新操作记录面板
+ *   jumpTo(index): 撤销或者重做到第 index 步, 0 为最早的状态, 中间的步骤只重新绘制一次,
+ *     index 小于 0 时恢复记录已经被丢弃的检查点的快照, 作为一次新的操作记录
+ *   checkpoint(name, index): 为第 index 步添加检查点, 默认为当前步骤, 同时保存这一步的数据快照,
+ *     检查点不会因为超出记录上限被丢弃
+ *   onCacheChange(): 操作记录变化之后刷新工具栏、详情和操作记录面板, 并标记为有修改
+ *   isModified(): 与最后一次保存时相比是否有修改, 撤销到保存时的步骤时视为没有修改, 导入数据之后视为有修改,
+ *     有修改时关闭或者离开页面需要确认
+ *   save(): 使用 saveAdapter 保存 rawData, 返回 Promise, 成功时触发 saved 事件, 成功和失败都会显示提示
+ *   requestSave(data): 调用 saveAdapter, 返回 Promise
+ *   getDraft(): 获取自动保存的草稿 {data, chartData, history, time}
+ *   saveDraft(force): 有新的修改或者 force 为 true 时保存草稿, 返回 Promise, 失败时提示之后 reject
+ *   restoreDraft(draft): 使用草稿恢复数据以及操作记录
+ *   initAutosave(): 开启定时保存草稿, 并检查是否有上次没有保存的草稿
+ *   checkDraft(): 读取草稿, 存在时提示是否恢复, 返回 Promise
+ *   autosaveError(e): 读取或者保存草稿失败时显示提示, 并触发 autosaveError 事件
+ *   exit(): 停止自动保存, 解绑快捷键并触发 exit 事件, 由使用者决定离开之后的行为
+ *   setLayout(name): 切换图谱的布局, 'force', 'tree' 或者 Force.layouts 中注册的静态布局,
+ *     工具栏和命令面板只包含创建编辑器时已经注册的布局
+ *   getLayoutName(): 获取当前布局的名称
+ *   setSelectMode(mode): 切换选择模式, 参考 Force.setSelectMode
+ *   getTargets(d): 菜单操作的对象, d 处于选中状态时为所有选中的元素, 否则只有 d, 返回 {vertexIds, edgeIds}
+ *   showEditModal(type, ids): 打开编辑弹窗, 多个元素时只填入共同的属性值, 保存时只修改发生变化的属性
+ *   removeItems({vertexIds, edgeIds}): 删除顶点和边, 作为一次操作记录
+ *   hideItems({vertexIds, edgeIds}): 隐藏顶点和边, 作为一次操作记录
+ *   copy(vertexIds): 复制顶点以及它们之间的边, 默认为选中的顶点, 同时写入系统剪贴板
+ *   cut(vertexIds): 复制之后删除, 作为一次操作记录
+ *   paste(x, y): 在画布坐标 (x, y) 处粘贴, 优先读取系统剪贴板, 粘贴的元素处于选中状态
+ *   parseClipboard(text): 解析剪贴板中的 JSON, 格式不是 {vertexes, edges} 时返回 null
+ *   nudge(direction, step): 将选中的顶点向 'up', 'down', 'left' 或者 'right' 平移 step 个屏幕像素
+ *   processCache(operation, cache): 撤销 ('undo') 或者重做 ('redo') 一次操作, 只重新绘制发生变化的顶点和边
+ *   transaction(fn, label): 执行 fn(graph), 其中对数据的所有修改作为一次操作记录, label 为这次操作的名称,
+ *     fn 抛出异常时撤销已经发生的修改并继续抛出, fn 返回 Promise 时在 resolve 之后提交, reject 时同样撤销
+ *   beginBatch(label): 开始批量记录, 与 commitBatch 配合使用, 可以嵌套, 批量记录中不能撤销和重做
+ *   commitBatch(): 结束批量记录, 最外层结束时将所有修改作为一次操作记录
+ *   rollbackBatch(): 撤销当前这一层批量记录中的修改
+ *
+ * @events
+ *   selectionchange: 选择改变时触发, 接收 {vertexIds, edgeIds}
+ *   exit: 关闭编辑器时触发
+ *   saved: 保存成功时触发, 接收 {data, result}, result 为 saveAdapter 的结果
+ *   autosaveError: 读取或者保存草稿失败时触发, 接收错误对象
  *
  * create by destiny on 2019-03-26
  * update by destiny on 2020-04-10
  */
+import * as d3 from 'd3';
 import Force from '../Graph/Force';
 import Tree from '../Graph/Tree';
 import Cache from './Cache.js';
@@ -34,9 +106,25 @@ import EventEmitter from './EventEmitter';
 import Toolbar from './Toolbar';
 import Info from './Info';
 import Search from './Search';
+import Minimap from './Minimap';
+import Keymap from './Keymap';
+import Palette from './Palette';
+import LabelEditor from './LabelEditor';
+import Tooltip from './Tooltip';
+import Detail from './Detail';
+import History from './History';
+import Autosave from './Autosave';
+import Message from './Message';
 import Menu from './Menu';
 import Modal from './Modal';
-import { checkEl, createFormHTML, setFormData, getFormData, deepCopy } from '../utils';
+import {
+  checkEl,
+  createFormHTML,
+  setFormData,
+  getFormData,
+  deepCopy,
+  ajaxRequest,
+} from '../utils';
 
 class GraphEditor {
   constructor(el, data, options = {}) {
@@ -50,38 +138,115 @@ class GraphEditor {
     this.graphOptions = options.graph || {};
     this.modalOptions = options.modal || {};
     this.infoOptions = options.info || {};
+    this.minimapOptions = options.minimap || {};
+    this.keymapOptions = options.keymap || {};
+    this.paletteOptions = options.palette || {};
+    this.tooltipOptions = options.tooltip || {};
+    this.detailOptions = options.detail || {};
+    this.historyOptions = options.history || {};
+    this.hoverOptions = Object.assign({ tooltip: true, highlight: false }, options.hover);
     this.editOptions = options.edit || {};
+    this.cacheOptions = options.cache || {};
     this.type = this.graphOptions.type || 'force';
 
     // 各模块实例
     this.eventProxy = new EventEmitter();
-    this.cache = new Cache();
-    this.graph =
-      this.type === 'force'
-        ? new Force(this.el, this.data, this.graphOptions)
-        : new Tree(this.el, this.data, this.graphOptions);
+    this.cache = new Cache(this.cacheOptions);
+    this.autosave = options.autosave
+      ? new Autosave(options.autosave === true ? {} : options.autosave)
+      : null;
+    this.graph = this.createGraph(this.type, this.data, this.graphOptions);
     this.toolbar = new Toolbar(this.el, this.type, this.toolbarOptions);
     this.info = new Info(this.el, this.infoOptions);
     this.search = new Search(this.el, this.searchOptions);
+    this.minimap = new Minimap(this.el, this.minimapOptions);
+    this.keymap = new Keymap(this.el, this.keymapOptions);
+    this.palette = new Palette(this.el, this.paletteOptions);
+    this.labelEditor = new LabelEditor(this.el);
+    this.tooltip = new Tooltip(this.el, this.tooltipOptions);
+    this.detail = new Detail(this.el, this.detailOptions);
+    this.history = new History(this.el, this.historyOptions);
+    this.message = new Message(this.el);
     this.menu = new Menu(this.el, this.menuOptions);
 
     // 标识当前 menu 选中的 ID
     this.curId = null;
+    // 编辑弹窗正在修改的元素 {type, ids, initial}
+    this.editing = null;
+    // 复制的子图, 系统剪贴板不可用时使用
+    this.clipboard = null;
 
     // 标识当前选中高亮的节点
     this.curVertex = null;
     this.isHighlight = false;
+
+    // 选择模式
+    this.selectMode = 'select';
+
+    this.pointer = null;
+    this.batchLabel = null;
+
+    // 保存以及自动保存
+    this.saveAdapter = options.save || null;
+    this.saving = null;
+    this.draftPending = false;
+    this.autosaveTimer = null;
+    this.draft = null;
   }
   /* 初始化 */
   init() {
+    this.renderGraph();
+
+    this.toolbar.init();
+    this.toolbar.setType(this.type, this.getLayoutName());
+    this.toolbar.setSelectMode(this.selectMode);
+    this.info.init(this.graph.getCount());
+    this.search.init();
+    this.minimap.init();
+    this.menu.init();
+    this.palette.init();
+    this.labelEditor.init();
+    this.tooltip.init();
+    this.detail.init();
+    this.detail.setFields({
+      vertex: this.getVertexFormConfig(),
+      edge: this.getEdgeFormConfig(),
+    });
+    this.history.init();
+    this.message.init();
+    this.createModal();
+
+    this.initCacheBar();
+    this.subscribeListeners();
+    this.bindEvents();
+    this.initAutosave();
+  }
+  createGraph(type, data, options) {
+    return type === 'force'
+      ? new Force(this.el, data, options)
+      : new Tree(this.el, data, options);
+  }
+  // 为图实例挂载编辑器需要的钩子, 并进行渲染
+  renderGraph() {
     let _this = this;
     this.graph.renderEnd = function () {
-      if (_this.cache.length === 0) {
-        _this.cache.init({
-          rawData: deepCopy(this.rawData),
-          chartData: deepCopy(this.data),
-        });
-      }
+      _this.minimap.update();
+    };
+    // Tree 懒加载子节点之后, 记录到缓存中
+    this.graph.loadEnd = function (cache) {
+      _this.eventProxy.emit('store', cache);
+    };
+    this.graph.workerError = function (e) {
+      _this.message.show(`布局计算出错, 已改为在主线程中计算: ${e.message || e.type}`, 'error');
+    };
+    this.graph.loadError = function (err) {
+      _this.message.show(`加载失败: ${err && err.message ? err.message : err}`, 'error');
+    };
+    this.graph.selectionChange = function (selection) {
+      _this.eventProxy.emit('selectionchange', selection);
+    };
+    this.graph.moveEnd = function (cache) {
+      _this.eventProxy.emit('store', cache);
     };
     this.graph.bindEvents = function () {
       this.bindRightClick(_this.rightClickHandler.bind(_this));
@@ -96,6 +261,12 @@ class GraphEditor {
       this.addClick(
         (d) => {
           let id = d._id;
+          // 按住 shift 时只修改选择, 不进行高亮
+          if (d3.event.shiftKey) {
+            this.select([id], [], 'toggle');
+            return;
+          }
+          this.select([id], []);
           _this.isHighlight = true;
           if (_this.curVertex) {
             if (_this.curVertex._id !== id) {
@@ -110,39 +281,631 @@ class GraphEditor {
             _this.curVertex = d;
           }
         },
-        (d) => {}
+        (d) => {
+          this.select([], [d._id], d3.event.shiftKey ? 'toggle' : 'replace');
+        }
       );
-      this.el.addEventListener('click', () => {
-        if (_this.isHighlight) {
-          this.chartGroup.selectAll('.vertex-group').each((d) => {
-            d.state = 'normal';
-          });
-          this.chartGroup.selectAll('.edge').each((d) => {
-            d.state = 'normal';
-          });
-          this.resetStyle();
-          _this.isHighlight = false;
-          _this.curVertex = null;
+      this.addDblClick(
+        (d) => {
+          _this.editLabel('vertex', d._id);
+        },
+        (d) => {
+          _this.editLabel('edge', d._id);
         }
-      });
+      );
+      this.addHover(
+        (d) => _this.hoverIn('vertex', d),
+        () => _this.hoverOut(),
+        (d) => _this.hoverIn('edge', d),
+        () => _this.hoverOut()
+      );
     };
     this.graph.render();
+    this.graph.setSelectMode(this.selectMode);
+    this.minimap.bindGraph(this.graph);
+  }
+  /**
+   * setLayout: 切换图谱的布局
+   * 保留当前的数据、高亮状态、缓存、主题和缩放, 顶点从原来的位置过渡到新的布局
+   *
+   * @parameter
+   *   name [String] 'tree' 使用 Tree, 其余使用 Force 并作为它的 layout 配置
+   *     'force', 'circular', 'grid', 'concentric', 'dag' 或者自定义注册的布局
+   */
+  setLayout(name) {
+    let type = name === 'tree' ? 'tree' : 'force';
+    if (type === 'force') {
+      this.graphOptions = Object.assign({}, this.graphOptions, { layout: name });
+    }
+    if (name === this.getLayoutName()) return this;
 
-    this.toolbar.init();
-    this.info.init(this.graph.getCount());
-    this.search.init();
-    this.menu.init();
-    this.createModal();
+    // 同为 Force 时只需要重新计算布局
+    if (type === this.type) {
+      this.graph.changeLayout(name);
+      this.toolbar.setType(type, name);
+      return this;
+    }
 
-    this.initCacheBar();
-    this.subscribeListeners();
-    this.bindEvents();
+    let oldGraph = this.graph;
+    let positions = {};
+    let states = {};
+    oldGraph.vertexes.forEach((v) => {
+      positions[v._id] = { x: v.x, y: v.y };
+      states[v._id] = v.state;
+    });
+    oldGraph.edges.forEach((e) => {
+      states[e._id] = e.state;
+    });
+    let transform = oldGraph.getTransform();
+    // 原来的实例不再显示, worker 的结果不能再修改它的数据
+    oldGraph.stopWorker();
+    if (oldGraph.simulation) oldGraph.simulation.stop();
+
+    // 使用原始数据创建, 再替换为当前的绘图数据, 保留过滤的结果
+    // 绘图数据中的位置会作为力仿真器的初始位置
+    let options = Object.assign({}, this.graphOptions, { theme: oldGraph.theme });
+    this.type = type;
+    this.graph = this.createGraph(type, deepCopy(oldGraph.rawData), options);
+    this.graph.data = deepCopy(oldGraph.data);
+    this.graph.vertexes = this.graph.data.vertexes;
+    this.graph.edges = this.graph.data.edges;
+    this.graph.restorePositions = false;
+    this.graph.selection = oldGraph.selection;
+    // 批量记录中切换布局时, 继续在新的实例中记录
+    this.graph.batchChanges = oldGraph.batchChanges;
+    this.graph.batchMarks = oldGraph.batchMarks;
+    this.renderGraph();
+
+    // 恢复高亮状态和缩放
+    this.graph.vertexes.forEach((v) => {
+      v.state = states[v._id] || 'normal';
+    });
+    this.graph.edges.forEach((e) => {
+      e.state = states[e._id] || 'normal';
+    });
+    this.graph.resetStyle();
+    this.graph.svg.call(this.graph.zoom.transform, transform);
+    // 力仿真布局会从原来的位置开始运动, 其余布局需要通过动画过渡
+    if (name !== 'force') {
+      this.graph.animateFrom({ positions });
+    }
+
+    this.addForceListeners();
+    this.toolbar.setType(type, name);
+    this.eventProxy.emit('reset.info');
+
+    return this;
+  }
+  getLayoutName() {
+    return this.type === 'force' ? this.graph.options.layout : this.type;
+  }
+  setSelectMode(mode) {
+    this.selectMode = mode;
+    this.graph.setSelectMode(mode);
+    this.toolbar.setSelectMode(mode);
+    return this;
+  }
+  getTargets(d) {
+    if (this.graph.isSelected(d)) return this.graph.getSelection();
+    let isEdge = d._to !== undefined;
+    return {
+      vertexIds: isEdge ? [] : [d._id],
+      edgeIds: isEdge ? [d._id] : [],
+    };
+  }
+  showEditModal(type, ids) {
+    let isVertex = type === 'vertex';
+    let config = isVertex ? this.getVertexFormConfig() : this.getEdgeFormConfig();
+    let modal = isVertex ? this.vertexModal : this.edgeModal;
+    let items = ids
+      .map((id) => (isVertex ? this.graph.getVertexById(id) : this.graph.getEdgeById(id)))
+      .filter((item) => item);
+    if (items.length === 0) return this;
+
+    // 所有元素的值都相同时才填入, 否则置空
+    let data = {};
+    config.forEach(({ name }) => {
+      let value = items[0][name];
+      let isShared = items.every((item) => JSON.stringify(item[name]) === JSON.stringify(value));
+      data[name] = isShared && value !== undefined ? value : '';
+    });
+    setFormData(type + '_form', data);
+
+    this.editing = { type, ids, initial: getFormData(type + '_form') };
+    modal.setTitle(
+      ids.length > 1 ? `批量修改 ${ids.length} 个${isVertex ? '节点' : '边'}` : modal.options.title
+    );
+    modal.show();
+    return this;
+  }
+  // 编辑弹窗保存的数据, 批量修改时只包含发生变化的属性
+  getEditList(type, data) {
+    let editing = this.editing;
+    this.editing = null;
+    if (!editing || editing.type !== type) return [data];
+    if (editing.ids.length === 1) return [Object.assign({}, data, { _id: editing.ids[0] })];
+
+    let changed = {};
+    Object.keys(data).forEach((key) => {
+      if (key !== '_id' && JSON.stringify(data[key]) !== JSON.stringify(editing.initial[key])) {
+        changed[key] = data[key];
+      }
+    });
+    return editing.ids.map((id) => Object.assign({}, changed, { _id: id }));
+  }
+  removeItems({ vertexIds, edgeIds }) {
+    this.graph.removeItems(vertexIds, edgeIds, (cache) => {
+      this.eventProxy.emit('store', cache);
+    });
+    return this;
+  }
+  copy(vertexIds = this.graph.getSelection().vertexIds) {
+    if (vertexIds.length === 0) return this;
+
+    this.clipboard = this.graph.getSubgraph(vertexIds);
+    // 写入系统剪贴板, 用于在不同的编辑器之间复制, 没有权限时忽略
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(JSON.stringify(this.clipboard)).catch(() => {});
+    }
+    return this;
+  }
+  cut(vertexIds = this.graph.getSelection().vertexIds) {
+    if (vertexIds.length === 0) return this;
+
+    this.copy(vertexIds);
+    return this.removeItems({ vertexIds, edgeIds: [] });
+  }
+  getCommands() {
+    let selected = () => this.graph.getSelection();
+    let firstVertex = () => this.graph.getVertexById(selected().vertexIds[0]);
+    // 撤销、重做以及缩放在工具栏中已经记录了是否可用
+    let allowed = (name) => () => {
+      let el = this.toolbar.el.querySelector(`[data-operation="${name}"]`);
+      return !el || !el.classList.contains('not-allow');
+    };
+    let availability = {
+      undo: allowed('undo'),
+      redo: allowed('redo'),
+      zoom_in: allowed('zoom_in'),
+      zoom_out: allowed('zoom_out'),
+      select: () => this.selectMode !== 'select',
+      multi: () => this.selectMode !== 'multi',
+      lasso: () => this.selectMode !== 'lasso',
+      paste: () => !!this.clipboard || !!navigator.clipboard,
+      release: () => this.graph.vertexes.some((v) => this.graph.isPinned(v)),
+      'unpin.vertex': () => selected().vertexIds.length > 0 && this.graph.isPinned(firstVertex()),
+      'remove.selection': () => selected().vertexIds.length + selected().edgeIds.length > 0,
+      'clear.highlight': () => this.isHighlight,
+    };
+    let getAvailable = (name) => {
+      if (availability[name]) return availability[name];
+      if (name === 'tree' || Force.layouts[name] || name === 'force') {
+        return () => this.getLayoutName() !== name;
+      }
+      if (/\.vertex$/.test(name) && name !== 'create.vertex') {
+        return () => selected().vertexIds.length > 0;
+      }
+      if (/\.edge$/.test(name)) {
+        return () => selected().edgeIds.length > 0;
+      }
+      return () => true;
+    };
+
+    let commands = [];
+    let add = (name, title) => {
+      if (commands.some((command) => command.name === name)) return;
+      commands.push({ name, title, available: getAvailable(name) });
+    };
+    let toolbarOptions = this.toolbar.options;
+    Object.keys(toolbarOptions).forEach((key) => {
+      toolbarOptions[key].forEach((item) => add(item.name, item.content));
+    });
+    let menuOptions = this.menu.options;
+    let prefixes = { vertex: '节点 - ', edge: '边 - ' };
+    Object.keys(menuOptions).forEach((type) => {
+      menuOptions[type].forEach((item) => {
+        if (type === 'default') {
+          add(item.name, item.content);
+        } else {
+          add(`${item.name}.${type}`, (prefixes[type] || '') + item.content);
+        }
+      });
+    });
+    add('remove.selection', '删除选中的元素');
+    add('clear.highlight', '取消高亮');
+    add('close', '关闭');
+
+    return commands;
+  }
+  runCommand(name) {
+    let { vertexIds, edgeIds } = this.graph.getSelection();
+    if (/\.vertex$/.test(name) && name !== 'create.vertex') {
+      // 选中的顶点作为菜单操作的对象, getTargets 会扩展到所有选中的顶点
+      this.eventProxy.emit(name, this.graph.getVertexById(vertexIds[0]));
+    } else if (/\.edge$/.test(name)) {
+      this.eventProxy.emit(name, this.graph.getEdgeById(edgeIds[0]));
+    } else {
+      // 工具栏的操作接收按钮元素, 右键菜单的操作接收鼠标事件, 使用鼠标最后的位置代替
+      let el = this.toolbar.el.querySelector(`[data-operation="${name}"]`);
+      let { width, height } = this.graph.options;
+      let [pageX, pageY] = this.pointer || [width / 2, height / 2];
+      if (el) {
+        this.eventProxy.emit(name, el);
+      } else {
+        this.eventProxy.emit(name, null, { pageX, pageY });
+      }
+    }
+    return this;
+  }
+  locateVertex(id) {
+    this.clearHighlight();
+    this.graph.select([id], []);
+    this.graph.highlightVertex(id);
+    this.graph.highlightEdge();
+    this.isHighlight = true;
+    this.graph.centerOn(id);
+    return this;
+  }
+  getPaletteItems() {
+    let commands = this.getCommands()
+      .filter((command) => !command.available || command.available())
+      .map((command) => ({
+        type: 'command',
+        title: command.title,
+        hint: this.keymap.getShortcut(command.name),
+        keyword: command.name,
+        data: command,
+      }));
+    let vertexes = this.graph.getVisibleVertexes().map((v) => ({
+      type: 'vertex',
+      title: v.name || v._id,
+      hint: '节点',
+      keyword: v._id,
+      data: v,
+    }));
+    return commands.concat(vertexes);
+  }
+  editLabel(type, id) {
+    let graph = this.graph;
+    let d = type === 'vertex' ? graph.getVertexById(id) : graph.getEdgeById(id);
+    if (!d) return this;
+
+    let key = type === 'vertex' ? 'name' : 'label';
+    this.eventProxy.emit('menu.hide');
+    this.labelEditor.show(this.getLabelRect(type, d), d[key] || '', (value) => {
+      // 顶点的名称不能为空
+      if (type === 'vertex' && !value.trim()) return;
+      let data = { _id: id };
+      data[key] = value;
+      let update = type === 'vertex' ? 'updateVertex' : 'updateEdge';
+      graph[update](data, (cache) => {
+        this.eventProxy.emit('store', cache);
+      });
+    });
+    return this;
+  }
+  getLabelRect(type, d) {
+    let graph = this.graph;
+    let containerRect = this.el.getBoundingClientRect();
+    if (!graph.renderer) {
+      let selector = type === 'vertex' ? '.vertex-name' : '.edge-label textPath';
+      let node = graph.chartGroup
+        .selectAll(selector)
+        .filter((item) => item._id === d._id)
+        .node();
+      let rect = node && node.getBoundingClientRect();
+      if (rect && rect.width) {
+        return {
+          left: rect.left - containerRect.left,
+          top: rect.top - containerRect.top,
+          width: rect.width,
+          height: rect.height,
+        };
+      }
+    }
+
+    // Canvas 渲染或者文字被隐藏时, 根据顶点的位置计算
+    let svgRect = graph.svg.node().getBoundingClientRect();
+    let [x, y] = graph
+      .getTransform()
+      .apply(
+        type === 'vertex'
+          ? [d.x, d.y + graph.getRadius(d) + graph.options.vertexFontSize]
+          : [(d.source.x + d.target.x) / 2, (d.source.y + d.target.y) / 2]
+      );
+    return {
+      left: svgRect.left - containerRect.left + x,
+      top: svgRect.top - containerRect.top + y,
+      width: 0,
+      height: 0,
+    };
+  }
+  hoverIn(type, d) {
+    let event = d3.event;
+    // 拖拽或者连线的过程中不处理
+    if (!event || event.buttons) return this;
+
+    if (this.hoverOptions.tooltip) {
+      this.tooltip.show(type, d, [event.clientX, event.clientY]);
+    }
+    if (this.hoverOptions.highlight) {
+      let { vertexIds, edgeIds } =
+        type === 'vertex'
+          ? this.graph.relationVertex(d)
+          : { vertexIds: [d._from, d._to], edgeIds: [d._id] };
+      this.graph.preview(vertexIds, edgeIds);
+    }
+    return this;
+  }
+  hoverOut() {
+    this.tooltip.hide();
+    this.graph.clearPreview();
+    return this;
+  }
+  showDetail(type, id) {
+    let graph = this.graph;
+    let list = type === 'vertex' ? graph.rawData.vertexes : graph.rawData.edges;
+    let item = list.filter((d) => d._id === id)[0];
+    if (!item) {
+      this.detail.hide();
+      return this;
+    }
+
+    if (type === 'vertex') {
+      this.detail.show(type, item, graph.getNeighbours(id));
+    } else {
+      this.detail.show(type, item, {
+        from: graph.getVertexById(item._from),
+        to: graph.getVertexById(item._to),
+      });
+    }
+    return this;
+  }
+  refreshDetail() {
+    if (this.detail.isShow()) {
+      this.showDetail(this.detail.type, this.detail.id);
+    }
+    return this;
+  }
+  getCacheLabel(cache) {
+    // rawData 中的修改为编辑, 只修改绘图数据时为显示、移动或者隐藏
+    let changes = cache.changes.filter((change) => change.scope === 'rawData');
+    let actions = { add: '添加', update: '修改', remove: '删除' };
+    if (changes.length === 0) {
+      changes = cache.changes;
+      actions = { add: '显示', update: '移动', remove: '隐藏' };
+    }
+    if (changes.length === 0) return '';
+
+    let type = changes[0].type;
+    let action = changes.every((change) => change.type === type) ? actions[type] : '编辑';
+    let vertexes = changes.filter((change) => change.target === 'vertexes');
+    let edges = changes.filter((change) => change.target === 'edges');
+    const getItem = (change) => {
+      let list = this.graph.rawData[change.target];
+      return change.item || list.filter((d) => d._id === change.id)[0] || { _id: change.id };
+    };
+
+    // 删除顶点时相关的边也会被删除, 只显示顶点的名称
+    if (vertexes.length === 1) {
+      let vertex = getItem(vertexes[0]);
+      return `${action}节点 ${vertex.name || vertex._id}`;
+    }
+    if (vertexes.length === 0 && edges.length === 1) {
+      let edge = getItem(edges[0]);
+      return `${action}边 ${edge.label || edge.type || edge._id}`;
+    }
+    let counts = [];
+    if (vertexes.length) counts.push(`${vertexes.length} 个节点`);
+    if (edges.length) counts.push(`${edges.length} 条边`);
+    return `${action} ${counts.join('和 ')}`;
+  }
+  refreshHistory() {
+    if (this.history.isShow()) {
+      this.history.render(this.cache.getSteps(), this.cache.point);
+    }
+    return this;
+  }
+  jumpTo(index) {
+    if (this.graph.isBatching()) return this;
+    let result = this.cache.jump(index);
+    if (!result) return this;
+    if (result.operation === 'restore') {
+      this.graph.restoreSnapshot(result.snapshot, (cache) => {
+        cache.label = `恢复检查点 ${result.checkpoint}`;
+        this.eventProxy.emit('store', cache);
+      });
+    } else {
+      this.processCache(result.operation, result.cache);
+      this.onCacheChange();
+    }
+    return this;
+  }
+  checkpoint(name, index = this.cache.point) {
+    if (this.graph.isBatching() || index < 0 || index > this.cache.length) return this;
+    // 快照为这一步的数据, 对应的记录因为超出上限被丢弃之后仍然可以恢复
+    let point = this.cache.point;
+    this.jumpTo(index);
+    let snapshot = this.graph.getSnapshot();
+    this.jumpTo(point);
+    this.cache.setCheckpoint(index, name, snapshot);
+    this.refreshHistory();
+    return this;
+  }
+  onCacheChange() {
+    this.refreshCacheToolbar();
+    this.refreshDetail();
+    this.refreshHistory();
+    this.draftPending = true;
+    return this;
+  }
+  isModified() {
+    return !this.cache.isSaved();
+  }
+  save() {
+    if (!this.saveAdapter) return Promise.reject(new Error('options.save is not configured'));
+    if (this.graph.isBatching()) return Promise.reject(new Error('cannot save during a batch'));
+    if (this.saving) return this.saving;
+
+    // 保存过程中可能继续编辑, 只有开始保存时的步骤视为已保存
+    let step = this.cache.getStep();
+    this.graph.syncPositions();
+    let data = deepCopy(this.graph.rawData);
+    this.saving = this.requestSave(data).then(
+      (result) => {
+        this.saving = null;
+        this.cache.markSaved(step);
+        this.refreshCacheToolbar();
+        // 已经保存的修改不再需要草稿
+        this.draftPending = true;
+        this.saveDraft().catch(() => {});
+        this.message.show('保存成功', 'success');
+        this.eventProxy.emit('saved', { data, result });
+        return result;
+      },
+      (e) => {
+        this.saving = null;
+        this.message.show(`保存失败: ${e && e.message ? e.message : e}`, 'error');
+        throw e;
+      }
+    );
+    return this.saving;
+  }
+  requestSave(data) {
+    let adapter = this.saveAdapter;
+    if (typeof adapter === 'function') {
+      return new Promise((resolve) => resolve(adapter(data, this)));
+    }
+    let { url, method = 'POST', headers } = adapter;
+    return ajaxRequest({
+      url,
+      method,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+      data: JSON.stringify(data),
+    });
+  }
+  getDraft() {
+    let { data, chartData } = this.graph.getSnapshot();
+    return {
+      data,
+      chartData,
+      history: deepCopy(this.cache.serialize()),
+      time: Date.now(),
+    };
+  }
+  saveDraft(force) {
+    if (!this.autosave || (!force && !this.draftPending)) return Promise.resolve();
+    this.draftPending = false;
+    // 没有未保存的修改时不需要草稿
+    let saving = this.isModified() ? this.autosave.save(this.getDraft()) : this.autosave.remove();
+    return saving.catch((e) => {
+      // 保存失败时等待下一次重试
+      this.draftPending = true;
+      this.autosaveError(e);
+      throw e;
+    });
+  }
+  autosaveError(e) {
+    this.message.show(`自动保存出错: ${e && e.message ? e.message : e}`, 'error');
+    this.eventProxy.emit('autosaveError', e);
+  }
+  restoreDraft(draft) {
+    if (!draft) return this;
+    this.graph.useCache(draft.data, draft.chartData);
+    this.cache.restore(draft.history || {});
+    this.onCacheChange();
+    return this;
+  }
+  initAutosave() {
+    if (!this.autosave) return this;
+    let { interval } = this.autosave.options;
+    // 失败时已经在 autosaveError 中提示, 等待下一次重试
+    this.autosaveTimer = setInterval(() => this.saveDraft().catch(() => {}), interval);
+    this.checkDraft();
+    return this;
+  }
+  checkDraft() {
+    if (!this.autosave) return Promise.resolve();
+    return this.autosave
+      .load()
+      .then((draft) => {
+        if (!draft) return;
+        this.draft = draft;
+        let message = this.restoreModal.dialog.querySelector('.restore-message');
+        message.textContent = `检测到 ${new Date(draft.time).toLocaleString()} 自动保存的修改, 是否恢复?`;
+        this.restoreModal.show();
+      })
+      .catch((e) => {
+        this.autosaveError(e);
+      });
+  }
+  exit() {
+    clearInterval(this.autosaveTimer);
+    this.autosaveTimer = null;
+    window.removeEventListener('beforeunload', this.unloadHandler);
+    this.keymap.unbindKeyEvents();
+    this.eventProxy.emit('exit');
+    return this;
+  }
+  nudge(direction, step) {
+    let { vertexIds } = this.graph.getSelection();
+    let offsets = {
+      up: [0, -1],
+      down: [0, 1],
+      left: [-1, 0],
+      right: [1, 0],
+    };
+    // 按照屏幕像素移动, 与缩放比例无关
+    let { k } = this.graph.getTransform();
+    let [dx, dy] = offsets[direction];
+    this.graph.moveVertexes(vertexIds, (dx * step) / k, (dy * step) / k, (cache) => {
+      this.eventProxy.emit('store', cache);
+    });
+    return this;
+  }
+  paste(x, y) {
+    const addSubgraph = (data) => {
+      if (!data || data.vertexes.length === 0) return;
+      let { vertexIds, edgeIds } = this.graph.addSubgraph(data, x, y, (cache) => {
+        this.eventProxy.emit('store', cache);
+      });
+      this.graph.select(vertexIds, edgeIds);
+      this.eventProxy.emit('reset.info');
+    };
+
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+      addSubgraph(this.clipboard);
+      return Promise.resolve();
+    }
+    return navigator.clipboard
+      .readText()
+      .then((text) => this.parseClipboard(text) || this.clipboard)
+      .catch(() => this.clipboard)
+      .then(addSubgraph);
+  }
+  parseClipboard(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!data || !Array.isArray(data.vertexes) || !Array.isArray(data.edges)) return null;
+    return data;
+  }
+  hideItems({ vertexIds, edgeIds }) {
+    this.graph.hideItems(vertexIds, edgeIds, (cache) => {
+      this.eventProxy.emit('store', cache);
+    });
+    this.eventProxy.emit('reset.info');
+    return this;
   }
   // 创建弹窗
   createModal() {
     this.createVertexModal();
     this.createEdgeModal();
     this.createOutModal();
+    this.createRestoreModal();
   }
   getVertexFormConfig() {
     return [
@@ -242,38 +1005,65 @@ class GraphEditor {
     `;
     this.outModal = new Modal(this.el, { title, body, footer });
   }
+  createRestoreModal() {
+    let title = '恢复草稿';
+
+    let body = '<p class="restore-message"></p>';
+
+    let footer = `
+      <div class="btns">
+        <button type="button" id="restoreDiscard" class="btn btn-danger">丢弃</button>
+        <button type="button" id="restoreApply" class="btn btn-info">恢复</button>
+      </div>
+    `;
+    this.restoreModal = new Modal(this.el, { title, body, footer });
+  }
 
   /* 功能订阅 */
   subscribeListeners() {
     this.addToolbarListeners();
     this.addSearchListeners();
     this.addInfoListeners();
-    if (this.type === 'force') {
-      this.addForceListeners();
-    }
+    this.addForceListeners();
     this.addMenuListeners();
     this.addModalListeners();
+    this.addDetailListeners();
+    this.addHistoryListeners();
+    this.addKeymapListeners();
   }
   // Toolbar 的功能实现
   addToolbarListeners() {
     // 缓存和撤销重做
     this.eventProxy.on('undo', (el) => {
+      // 批量记录中的修改还没有保存, 不能撤销
+      if (this.graph.isBatching()) return;
       let cache = this.cache.prev();
       if (cache) {
-        this.loadCache(cache);
-        this.refreshCacheToolbar();
+        this.processCache('undo', cache);
+        this.onCacheChange();
       }
     });
     this.eventProxy.on('redo', (el) => {
+      if (this.graph.isBatching()) return;
       let cache = this.cache.next();
       if (cache) {
-        this.loadCache(cache);
-        this.refreshCacheToolbar();
+        this.processCache('redo', cache);
+        this.onCacheChange();
       }
     });
     this.eventProxy.on('store', (cache) => {
+      // 批量记录中的每次操作已经合并到一起, 在 commitBatch 时作为一次操作保存
+      if (this.graph.isBatching()) {
+        this.refreshDetail();
+        return;
+      }
+      if (!cache.label) cache.label = this.getCacheLabel(cache);
       this.cache.store(cache);
-      this.refreshCacheToolbar();
+      this.onCacheChange();
+    });
+    this.eventProxy.on('save', (el) => {
+      // 失败的提示在 save 中显示
+      if (this.saveAdapter && this.isModified()) this.save().catch(() => {});
     });
 
     // 缩放
@@ -291,6 +1081,22 @@ class GraphEditor {
       // 通过计算使得最终缩放值为 1
       this.graph.zoomTo(1);
     });
+    this.eventProxy.on('fit', () => {
+      this.eventProxy.emit('menu.hide');
+      this.graph.fitView();
+    });
+    // 布局切换, 只绑定此时已经注册的布局
+    ['force', 'tree'].concat(Object.keys(Force.layouts)).forEach((name) => {
+      this.eventProxy.on(name, () => {
+        this.setLayout(name);
+      });
+    });
+    // 选择模式
+    ['select', 'multi', 'lasso'].forEach((mode) => {
+      this.eventProxy.on(mode, () => {
+        this.setSelectMode(mode);
+      });
+    });
     // 信息和数据过滤
     this.eventProxy.on('info', (el) => {
       el.classList.toggle('active');
@@ -300,11 +1106,23 @@ class GraphEditor {
       el.classList.toggle('active');
       this.search.toggle();
     });
+    this.eventProxy.on('minimap', (el) => {
+      el.classList.toggle('active');
+      this.minimap.toggle();
+    });
+    this.eventProxy.on('history', (el) => {
+      el.classList.toggle('active');
+      this.history.toggle();
+      this.refreshHistory();
+    });
 
     // 关闭
     this.eventProxy.on('close', (el) => {
-      console.log('close');
-      this.outModal.show();
+      if (this.isModified()) {
+        this.outModal.show();
+      } else {
+        this.exit();
+      }
     });
   }
   // Search 的功能实现
@@ -335,14 +1153,18 @@ class GraphEditor {
       this.info.bindData(this.graph.getCount());
     });
   }
-  // Force 的功能实现
+  // Force 的功能实现, Tree 继承自 Force, 同样适用
   addForceListeners() {
     // 右键菜单的隐藏
     this.graph.drag.on('start.else', (...arg) => {
       this.eventProxy.emit('menu.hide');
+      this.hoverOut();
     });
     this.graph.zoom.on('start', () => {
       this.eventProxy.emit('menu.hide');
+      // 输入框不跟随缩放和平移, 直接提交
+      this.labelEditor.commit();
+      this.tooltip.hide();
     });
     this.graph.zoom.on('end', () => {
       let scale = d3.event.transform.k;
@@ -377,35 +1199,79 @@ class GraphEditor {
     });
     this.eventProxy.on('edit.vertex', (data) => {
       this.eventProxy.emit('menu.hide');
-      setFormData('vertex_form', data);
-      this.vertexModal.show();
+      this.showEditModal('vertex', this.getTargets(data).vertexIds);
     });
     this.eventProxy.on('edit.edge', (data) => {
       this.eventProxy.emit('menu.hide');
-      setFormData('edge_form', data);
-      this.edgeModal.show();
+      this.showEditModal('edge', this.getTargets(data).edgeIds);
     });
     this.eventProxy.on('remove.vertex', (data) => {
       this.eventProxy.emit('menu.hide');
-      this.graph.removeVertex(data._id, (cache) => {
-        this.eventProxy.emit('store', cache);
-      });
+      this.removeItems(this.getTargets(data));
     });
     this.eventProxy.on('remove.edge', (data) => {
       this.eventProxy.emit('menu.hide');
-      this.graph.removeEdge(data._id, (cache) => {
+      this.removeItems(this.getTargets(data));
+    });
+    // 隐藏和显示
+    this.eventProxy.on('hide.vertex', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.hideItems(this.getTargets(data));
+    });
+    this.eventProxy.on('hide.edge', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.hideItems(this.getTargets(data));
+    });
+    // 复制和粘贴
+    this.eventProxy.on('copy.vertex', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.copy(this.getTargets(data).vertexIds);
+    });
+    this.eventProxy.on('cut.vertex', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.cut(this.getTargets(data).vertexIds);
+    });
+    this.eventProxy.on('paste', (data, e) => {
+      this.eventProxy.emit('menu.hide');
+      this.paste(e.pageX, e.pageY);
+    });
+    this.eventProxy.on('show', () => {
+      this.eventProxy.emit('menu.hide');
+      this.graph.showAll((cache) => {
         this.eventProxy.emit('store', cache);
       });
+      this.eventProxy.emit('reset.info');
+    });
+    // 定位
+    this.eventProxy.on('center.vertex', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.graph.centerOn(data._id);
+    });
+    this.eventProxy.on('focus.vertex', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.graph.zoomToVertices(this.graph.relationVertex(data).vertexIds);
+    });
+    // 固定和释放
+    this.eventProxy.on('unpin.vertex', (data) => {
+      this.eventProxy.emit('menu.hide');
+      this.graph.unpinVertex(data._id);
+    });
+    this.eventProxy.on('release', () => {
+      this.eventProxy.emit('menu.hide');
+      this.graph.unpinAll();
     });
     this.eventProxy.on('check.vertex', (data) => {
-      // TODO: 查看
+      this.eventProxy.emit('menu.hide');
+      this.showDetail('vertex', data._id);
     });
     this.eventProxy.on('check.edge', (data) => {
-      // TODO: 查看
+      this.eventProxy.emit('menu.hide');
+      this.showDetail('edge', data._id);
     });
 
     // 导出
     this.eventProxy.on('export.json', (el) => {
+      this.graph.syncPositions();
       let blob = new Blob([JSON.stringify(this.graph.rawData)], {
         type: 'application/json;chart=utf-8',
       });
@@ -426,40 +1292,151 @@ class GraphEditor {
       this.importJson((result) => {
         let data = JSON.parse(result);
         data = Object.assign({ vertexes: [], edges: [] }, data);
+        // 导入的数据替换了原有的数据, 没有保存之前视为有修改, 可以保存, 关闭时需要确认
         this.cache.clear();
-        this.initCacheBar();
         this.graph.useCache(data, data);
+        this.onCacheChange();
         this.eventProxy.emit('menu.hide');
       });
     });
   }
   addModalListeners() {
     this.eventProxy.on('save.vertex', (data) => {
-      this.graph.updateVertex(data, (cache) => {
+      this.graph.updateVertexes(this.getEditList('vertex', data), (cache) => {
         this.eventProxy.emit('store', cache);
       });
       this.vertexModal.hide();
     });
     this.eventProxy.on('save.edge', (data) => {
-      this.graph.updateEdge(data, (cache) => {
+      this.graph.updateEdges(this.getEditList('edge', data), (cache) => {
         this.eventProxy.emit('store', cache);
       });
       this.edgeModal.hide();
     });
   }
 
+  // Detail 的功能实现
+  addDetailListeners() {
+    // 平移到相邻的顶点, 并显示它的详情
+    this.eventProxy.on('locate.detail', (id) => {
+      if (!this.graph.getVertexById(id)) return;
+      this.graph.select([id], []);
+      this.graph.centerOn(id);
+      this.showDetail('vertex', id);
+    });
+    this.eventProxy.on('edit.detail', ({ type, id }) => {
+      this.showEditModal(type, [id]);
+    });
+  }
+  // History 的功能实现
+  addHistoryListeners() {
+    this.eventProxy.on('jump.history', (index) => {
+      this.jumpTo(index);
+    });
+    this.eventProxy.on('checkpoint.history', (name) => {
+      this.checkpoint(name);
+    });
+    this.eventProxy.on('uncheckpoint.history', (index) => {
+      this.cache.setCheckpoint(index, null);
+      this.refreshHistory();
+    });
+  }
+  // Keymap 中新增的操作, 其余操作与工具栏和菜单共用
+  addKeymapListeners() {
+    this.eventProxy.on('remove.selection', () => {
+      this.removeItems(this.graph.getSelection());
+    });
+    this.eventProxy.on('copy.selection', () => {
+      this.copy();
+    });
+    this.eventProxy.on('cut.selection', () => {
+      this.cut();
+    });
+    this.eventProxy.on('paste.selection', () => {
+      let { width, height } = this.graph.options;
+      let [x, y] = this.pointer || [width / 2, height / 2];
+      this.paste(x, y);
+    });
+    this.eventProxy.on('palette', () => {
+      this.eventProxy.emit('menu.hide');
+      if (this.palette.isShow()) {
+        this.palette.hide();
+      } else {
+        this.palette.show(this.getPaletteItems());
+      }
+    });
+    this.eventProxy.on('clear.highlight', () => {
+      this.eventProxy.emit('menu.hide');
+      if (this.isHighlight) {
+        this.clearHighlight();
+      }
+    });
+    // 按住 shift 时每次移动 1 像素, 否则移动 10 像素
+    ['up', 'down', 'left', 'right'].forEach((direction) => {
+      this.eventProxy.on(`nudge.${direction}`, (e) => {
+        this.nudge(direction, e && e.shiftKey ? 1 : 10);
+      });
+    });
+  }
+
   /* 事件派发 */
   bindEvents() {
+    this.bindGraphEvent();
     this.bindToolbarEvent();
     this.bindSearchEvent();
     this.bindMenuEvent();
     this.bindModalEvent();
+    this.bindKeyEvent();
+    this.bindPaletteEvent();
+    this.bindDetailEvent();
+    this.bindHistoryEvent();
+    this.bindUnloadEvent();
+  }
+  bindGraphEvent() {
+    // 点击图谱空白处取消高亮和选择, 点击工具栏等其他模块时保留
+    this.el.addEventListener('click', (e) => {
+      if (!this.graph.svg.node().contains(e.target)) return;
+      if (this.isHighlight) {
+        this.clearHighlight();
+      }
+      if (!e.shiftKey) {
+        this.graph.clearSelection();
+      }
+    });
+    this.el.addEventListener('mousemove', (e) => {
+      if (!this.graph.svg.node().contains(e.target)) return;
+      this.pointer = [e.pageX, e.pageY];
+    });
   }
   bindToolbarEvent() {
     this.toolbar.bindClickEvents((el, operation) => {
       this.eventProxy.emit(operation, el);
     });
   }
+  bindKeyEvent() {
+    this.keymap.bindKeyEvents((operation, e) => {
+      this.eventProxy.emit(operation, e);
+    });
+  }
+  bindDetailEvent() {
+    this.detail.bindClickEvents((operation, data) => {
+      this.eventProxy.emit(operation, data);
+    });
+  }
+  bindHistoryEvent() {
+    this.history.bindClickEvents((operation, data) => {
+      this.eventProxy.emit(operation, data);
+    });
+  }
+  bindPaletteEvent() {
+    this.palette.bindSelectEvents((item) => {
+      if (item.type === 'vertex') {
+        this.locateVertex(item.data._id);
+      } else {
+        this.runCommand(item.data.name);
+      }
+    });
+  }
   bindSearchEvent() {
     this.search.bindClickEvents((type, data) => {
       this.eventProxy.emit(type, data);
@@ -517,15 +1494,56 @@ class GraphEditor {
     });
     outNotSave.addEventListener('click', () => {
       this.outModal.hide();
-      // TODO: 关闭整个窗口
+      // 放弃修改, 草稿也不再保留
+      if (this.autosave) this.autosave.remove().catch((e) => this.autosaveError(e));
+      this.exit();
     });
     outSave.addEventListener('click', () => {
       this.outModal.hide();
-      // TODO: 关闭整个窗口并保存
+      // 没有配置保存方式时保存为草稿, 下次打开时可以恢复; 保存失败时留在编辑器中
+      let saving = this.saveAdapter ? this.save() : this.saveDraft(true);
+      saving.then(
+        () => this.exit(),
+        () => {}
+      );
+    });
+
+    let restoreDiscard = document.getElementById('restoreDiscard');
+    let restoreApply = document.getElementById('restoreApply');
+    restoreDiscard.addEventListener('click', () => {
+      this.restoreModal.hide();
+      this.draft = null;
+      this.autosave.remove().catch((e) => this.autosaveError(e));
+    });
+    restoreApply.addEventListener('click', () => {
+      this.restoreModal.hide();
+      this.restoreDraft(this.draft);
+      this.draft = null;
     });
   }
+  bindUnloadEvent() {
+    this.unloadHandler = (e) => {
+      if (!this.isModified()) return;
+      // 页面关闭之前尽量保存草稿, 并提示还有没有保存的修改
+      this.saveDraft().catch(() => {});
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', this.unloadHandler);
+  }
 
   /* 辅助方法 */
+  clearHighlight() {
+    this.graph.vertexes.forEach((d) => {
+      d.state = 'normal';
+    });
+    this.graph.edges.forEach((d) => {
+      d.state = 'normal';
+    });
+    this.graph.resetStyle();
+    this.isHighlight = false;
+    this.curVertex = null;
+  }
   refreshZoomToolbar(scale) {
     let scaleExtent = this.graph.zoom.scaleExtent();
     let zoom_out = document.querySelector('[data-operation="zoom_out"]');
@@ -548,28 +1566,18 @@ class GraphEditor {
   initCacheBar() {
     let undo = document.querySelector('[data-operation="undo"]');
     let redo = document.querySelector('[data-operation="redo"]');
+    let save = document.querySelector('[data-operation="save"]');
     undo.classList.add('not-allow');
     redo.classList.add('not-allow');
+    save && save.classList.add('not-allow');
   }
   refreshCacheToolbar() {
     let undo = document.querySelector('[data-operation="undo"]');
     let redo = document.querySelector('[data-operation="redo"]');
-    let len = this.cache.length;
-    let point = this.cache.point;
-    if (len === 1) {
-      console.log('1');
-      undo.classList.add('not-allow');
-      redo.classList.add('not-allow');
-    } else if (point === 1) {
-      undo.classList.add('not-allow');
-      redo.classList.remove('not-allow');
-    } else if (point === len) {
-      undo.classList.remove('not-allow');
-      redo.classList.add('not-allow');
-    } else {
-      undo.classList.remove('not-allow');
-      redo.classList.remove('not-allow');
-    }
+    let save = document.querySelector('[data-operation="save"]');
+    undo.classList.toggle('not-allow', !this.cache.canUndo());
+    redo.classList.toggle('not-allow', !this.cache.canRedo());
+    save && save.classList.toggle('not-allow', !this.saveAdapter || !this.isModified());
   }
   filterData(data, d) {
     for (let key in data) {
@@ -584,71 +1592,64 @@ class GraphEditor {
     }
     return true;
   }
-  loadCache(cache) {
-    let { rawData, chartData } = cache;
-    this.graph.useCache(rawData, chartData);
-  }
+  // 撤销时倒序应用逆操作, 重做时应用原来的修改, 只重新绘制变化的部分
   processCache(operation, cache) {
-    let { type, target, data } = cache;
-    switch (`${operation}-${type}`) {
-      case 'redo-add':
-      case 'undo-remove':
-        this.addData(target, data);
-        break;
-      case 'undo-update':
-        this.updateData(target, data.old);
-        break;
-      case 'redo-update':
-        this.updateData(target, data.new);
-        break;
-      case 'redo-remove':
-      case 'undo-add':
-        this.removeData(target, data);
-    }
+    this.graph.applyPatch(cache, operation === 'undo');
   }
-  updateData(target, data) {
-    if (target === 'vertex') {
-      this.graph.updateVertex(data);
-    } else {
-      this.graph.updateEdge(data);
-    }
+  // 批量记录, 嵌套时以最外层的 label 为准
+  beginBatch(label) {
+    if (!this.graph.isBatching()) this.batchLabel = label || '';
+    this.graph.beginBatch();
+    return this;
   }
-  addData(target, data) {
-    if (target === 'vertex') {
-      if (data.vertex) {
-        // {vertex, edges} 需要增加 一个顶点和多条边
-        this.graph.reAddVertex(data);
-      } else {
-        this.graph.reAddVertex({ vertex: data });
-      }
-    } else {
-      this.graph.addEdge(data);
+  commitBatch() {
+    let cache = this.graph.commitBatch();
+    if (cache) {
+      cache.label = this.batchLabel;
+      this.batchLabel = null;
+      this.eventProxy.emit('store', cache);
     }
+    return this;
   }
-  removeData(target, data) {
-    if (target === 'vertex') {
-      if (data.vertex) {
-        this.graph.removeVertex(data.vertex._id);
-      } else {
-        this.graph.removeVertex(data._id);
-      }
-    } else {
-      this.graph.removeEdge(data._id);
+  rollbackBatch() {
+    this.graph.rollbackBatch();
+    if (!this.graph.isBatching()) this.batchLabel = null;
+    this.refreshDetail();
+    return this;
+  }
+  transaction(fn, label) {
+    this.beginBatch(label);
+    let result;
+    try {
+      result = fn(this.graph);
+    } catch (e) {
+      this.rollbackBatch();
+      throw e;
     }
+    // 返回 Promise 时在完成之后提交, 失败时回滚
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => {
+          this.commitBatch();
+          return value;
+        },
+        (e) => {
+          this.rollbackBatch();
+          throw e;
+        }
+      );
+    }
+    this.commitBatch();
+    return result;
   }
   saveAsPng(svg) {
-    let serializer = new XMLSerializer();
-    let source = '<?xml version="1.0" standalone="no"?>\r\n' + serializer.serializeToString(svg);
-    let image = new Image();
-    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
     let canvas = document.createElement('canvas');
     canvas.width = svg.getAttribute('width');
     canvas.height = svg.getAttribute('height');
     let context = canvas.getContext('2d');
     context.fillStyle = '#fff'; //#fff设置保存后的PNG 是白色的
     context.fillRect(0, 0, canvas.width, canvas.height);
-    image.onload = () => {
-      context.drawImage(image, 0, 0);
+    const download = () => {
       document.body.appendChild(canvas);
       let alink = document.createElement('a');
       alink.download = 'name.png';
@@ -656,6 +1657,25 @@ class GraphEditor {
       alink.click();
       alink = null;
     };
+
+    // canvas 渲染时直接使用画布的内容, 序列化的 SVG 中不包含画布
+    let renderer = this.graph.renderer;
+    if (renderer) {
+      context.fillStyle = this.graph.getBgColor();
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(renderer.canvas, 0, 0, canvas.width, canvas.height);
+      download();
+      return;
+    }
+
+    let serializer = new XMLSerializer();
+    let source = '<?xml version="1.0" standalone="no"?>\r\n' + serializer.serializeToString(svg);
+    let image = new Image();
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+    image.onload = () => {
+      context.drawImage(image, 0, 0);
+      download();
+    };
   }
   importJson(cb) {
     let input = document.createElement('input');
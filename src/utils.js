@@ -293,6 +293,50 @@ export function getUUId() {
   });
 }
 
+/**
+ * escapeHTML: 转义 HTML 特殊字符, 用于将数据插入到 innerHTML 中
+ *
+ * @parameter
+ *   value [Any] 需要转义的值, null 和 undefined 转换为空字符串
+ *
+ * @return
+ *   [String]: 转义后的字符串
+ *
+ * by destiny on 2020-04-26
+ */
+export function escapeHTML(value) {
+  return (value == null ? '' : String(value)).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * fuzzyMatch: 模糊匹配, pattern 中的字符按顺序出现在 text 中即为匹配, 不区分大小写
+ *
+ * @parameter
+ *   pattern [String] 输入的内容
+ *   text [String] 需要匹配的文本
+ *
+ * @return
+ *   [Number | null]: 匹配的得分, 连续匹配以及从开头匹配时得分更高, 不匹配时为 null
+ *
+ * by destiny on 2020-04-25
+ */
+export function fuzzyMatch(pattern, text) {
+  pattern = pattern.toLowerCase();
+  text = String(text).toLowerCase();
+
+  let score = 0;
+  let last = -1;
+  for (let i = 0; i < pattern.length; i++) {
+    let index = text.indexOf(pattern[i], last + 1);
+    if (index === -1) return null;
+    score += index === last + 1 ? 2 : 1;
+    if (index === 0) score += 2;
+    last = index;
+  }
+  // 得分相同时, 越短的文本越接近
+  return score - text.length / 1000;
+}
+
 export function ajaxGet(url, cb) {
   let xhr = new XMLHttpRequest();
   xhr.open('get', url);
@@ -307,3 +351,41 @@ export function ajaxGet(url, cb) {
 
   xhr.send();
 }
+
+/**
+ * ajaxRequest: 发送请求, 状态码为 2xx 时成功
+ *
+ * @parameter
+ *   options [Object]
+ *     url [String] 请求地址
+ *     method [String] 请求方法, 默认 'GET'
+ *     headers [Object] 请求头 {name: value}
+ *     data [String] 请求体
+ *
+ * @return
+ *   [Promise]: resolve 响应的文本, 失败时 reject Error
+ *
+ * by destiny on 2020-04-28
+ */
+export function ajaxRequest({ url, method = 'GET', headers = {}, data = null }) {
+  return new Promise((resolve, reject) => {
+    let xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.keys(headers).forEach((name) => {
+      xhr.setRequestHeader(name, headers[name]);
+    });
+
+    xhr.onload = function () {
+      if (/^2\d{2}$/.test(xhr.status)) {
+        resolve(xhr.responseText);
+      } else {
+        reject(new Error(`${xhr.status} ${xhr.statusText}`));
+      }
+    };
+    xhr.onerror = function () {
+      reject(new Error('network error'));
+    };
+
+    xhr.send(data);
+  });
+}